@@ -4,6 +4,11 @@
 // - Interactive counter game
 // - Collapsible FAQ section
 // - Tabbed interface
+// - Keyboard shortcuts with a "?" help overlay
+// - Component registry (window.App) mounting [data-component] elements
+// - Event bus with pluggable, opt-out aware analytics
+// - Offline support: service worker updates and queued form submissions
+// - Toast notifications with actions, shared by every component
 // - Comprehensive form validation
 
 // ============================================================================
@@ -28,6 +33,15 @@ function getElements(selector) {
     return document.querySelectorAll(selector);
 }
 
+/**
+ * Utility function to accept either an element or a selector
+ * @param {string|Element} target - CSS selector or DOM element
+ * @returns {Element|null} - DOM element or null
+ */
+function resolveElement(target) {
+    return typeof target === 'string' ? getElement(target) : target || null;
+}
+
 /**
  * Utility function to add event listener with error handling
  * @param {Element} element - DOM element
@@ -40,629 +54,6789 @@ function addEvent(element, event, handler) {
     }
 }
 
-// ============================================================================
-// THEME TOGGLE FUNCTIONALITY
-// ============================================================================
+/**
+ * Utility function to check whether an element accepts typed text
+ * @param {Element} element - Element to check, usually an event target
+ * @returns {boolean} - True for text inputs, textareas, selects and contenteditable
+ */
+function isEditableElement(element) {
+    if (!element || !element.tagName) {
+        return false;
+    }
+    
+    const nonTextInputs = ['button', 'checkbox', 'radio', 'range', 'color', 'file', 'submit', 'reset', 'image'];
+    return element.isContentEditable
+        || element.tagName === 'TEXTAREA'
+        || element.tagName === 'SELECT'
+        || (element.tagName === 'INPUT' && !nonTextInputs.includes(element.type));
+}
 
 /**
- * Theme toggle functionality for light/dark mode
- * Stores theme preference in localStorage and applies it to the document
+ * Utility function to add or remove an id in a space-separated reference
+ * attribute such as aria-describedby, keeping any other ids in it
+ * @param {Element} element - Element carrying the attribute
+ * @param {string} attribute - Attribute name
+ * @param {string} id - Referenced element id
+ * @param {boolean} present - Whether the id should be in the list
  */
-class ThemeToggle {
-    constructor() {
-        this.themeToggle = getElement('#themeToggle');
-        this.themeIcon = getElement('.theme-icon');
-        this.currentTheme = localStorage.getItem('theme') || 'light';
-        
-        this.init();
+function toggleIdReference(element, attribute, id, present) {
+    if (!element || !id) {
+        return;
     }
     
-    init() {
-        // Apply saved theme on page load
-        this.applyTheme(this.currentTheme);
-        
-        // Add click event listener
-        addEvent(this.themeToggle, 'click', () => this.toggleTheme());
+    const ids = (element.getAttribute(attribute) || '').split(/\s+/).filter(item => item && item !== id);
+    if (present) {
+        ids.push(id);
     }
     
-    toggleTheme() {
-        this.currentTheme = this.currentTheme === 'light' ? 'dark' : 'light';
-        this.applyTheme(this.currentTheme);
-        localStorage.setItem('theme', this.currentTheme);
+    if (ids.length > 0) {
+        element.setAttribute(attribute, ids.join(' '));
+    } else {
+        element.removeAttribute(attribute);
     }
+}
+
+/**
+ * Utility function to change the current URL without reloading
+ * @param {Function} update - Receives a URL object to modify
+ * @param {boolean} [replace] - Replace the current history entry instead of adding one
+ */
+function updateUrl(update, replace = false) {
+    const url = new URL(window.location.href);
+    update(url);
     
-    applyTheme(theme) {
-        document.documentElement.setAttribute('data-theme', theme);
-        
-        // Update theme icon
-        if (this.themeIcon) {
-            this.themeIcon.textContent = theme === 'light' ? '🌙' : '☀️';
-        }
-        
-        // Update button aria-label for accessibility
-        if (this.themeToggle) {
-            this.themeToggle.setAttribute('aria-label', 
-                `Switch to ${theme === 'light' ? 'dark' : 'light'} mode`);
-        }
+    if (url.href !== window.location.href) {
+        history[replace ? 'replaceState' : 'pushState'](null, '', url);
     }
 }
 
+/**
+ * Utility function to run a handler whenever the URL changes through
+ * back/forward, a hash change or an in-page link ("locationchange")
+ * @param {Function} handler - Called with no arguments
+ * @returns {Function} - Stops listening
+ */
+function onUrlChange(handler) {
+    const types = ['popstate', 'hashchange', 'locationchange'];
+    types.forEach(type => addEvent(window, type, handler));
+    return () => types.forEach(type => window.removeEventListener(type, handler));
+}
+
 // ============================================================================
-// INTERACTIVE COUNTER GAME
+// COMPONENTS
 // ============================================================================
 
 /**
- * Interactive counter game with increment, decrement, and reset functionality
- * Includes special messages for certain counter values
+ * Base class for interactive components
+ * A component owns a root element and keeps track of the listeners, timers
+ * and subscriptions it sets up, so destroy() can undo all of them.
+ * Subclasses call super(root, options), set up their fields and then call
+ * this.init() as usual.
  */
-class CounterGame {
-    constructor() {
-        this.counterValue = getElement('#counterValue');
-        this.counterMessage = getElement('#counterMessage');
-        this.incrementBtn = getElement('#incrementBtn');
-        this.decrementBtn = getElement('#decrementBtn');
-        this.resetBtn = getElement('#resetBtn');
-        
-        this.count = 0;
-        this.init();
+class Component {
+    /**
+     * @param {string|Element} root - Root element or selector
+     * @param {Object} [options] - Component options; options.id is its registry id
+     */
+    constructor(root, options = {}) {
+        this.root = resolveElement(root);
+        this.options = options;
+        this.id = options.id || null;
+        this.disposers = [];
+        this.timers = new Set();
+        this.destroyed = false;
     }
     
-    init() {
-        // Add event listeners for all counter buttons
-        addEvent(this.incrementBtn, 'click', () => this.increment());
-        addEvent(this.decrementBtn, 'click', () => this.decrement());
-        addEvent(this.resetBtn, 'click', () => this.reset());
-        
-        // Add keyboard support
-        addEvent(document, 'keydown', (e) => this.handleKeyboard(e));
-        
-        this.updateDisplay();
+    /**
+     * Default name for state kept per instance, such as a localStorage key
+     * or URL parameter, so several components of a type can share a page.
+     * The first one (registered under the type's name, or not registered)
+     * keeps the plain name; others get their id appended, e.g.
+     * "counterState-counter-2".
+     * @param {string} name - Plain name
+     * @param {string} type - Registry type of the component
+     * @returns {string}
+     */
+    instanceName(name, type) {
+        return !this.id || this.id === type ? name : `${name}-${this.id}`;
     }
     
-    increment() {
-        this.count++;
-        this.updateDisplay();
-        this.showMessage();
-        this.animateCounter();
+    /**
+     * Find an element inside the root
+     * @param {string} selector - CSS selector
+     * @returns {Element|null}
+     */
+    find(selector) {
+        return this.root ? this.root.querySelector(selector) : null;
     }
     
-    decrement() {
-        this.count--;
-        this.updateDisplay();
-        this.showMessage();
-        this.animateCounter();
+    /**
+     * Find all elements inside the root
+     * @param {string} selector - CSS selector
+     * @returns {Element[]}
+     */
+    findAll(selector) {
+        return this.root ? Array.from(this.root.querySelectorAll(selector)) : [];
     }
     
-    reset() {
-        this.count = 0;
-        this.updateDisplay();
-        this.counterMessage.textContent = 'Counter reset!';
-        this.animateCounter();
+    /**
+     * Add an event listener that is removed on destroy()
+     * @param {EventTarget} target - Element, window, document or media query list
+     * @param {string} type - Event type
+     * @param {Function} handler - Event handler
+     * @param {Object} [options] - addEventListener options
+     * @returns {Function|undefined} - Removes the listener early
+     */
+    listen(target, type, handler, options) {
+        if (!target) {
+            return undefined;
+        }
         
-        // Clear message after 2 seconds
-        setTimeout(() => {
-            this.counterMessage.textContent = '';
-        }, 2000);
+        target.addEventListener(type, handler, options);
+        return this.own(() => target.removeEventListener(type, handler, options));
     }
     
-    updateDisplay() {
-        if (this.counterValue) {
-            this.counterValue.textContent = this.count;
-        }
+    /**
+     * Run a cleanup function on destroy(), e.g. an unsubscribe returned by i18n.onChange
+     * @param {Function} dispose - Cleanup function
+     * @returns {Function} - The same function
+     */
+    own(dispose) {
+        this.disposers.push(dispose);
+        return dispose;
     }
     
-    showMessage() {
-        let message = '';
-        
-        if (this.count === 10) {
-            message = '🎉 You reached 10! Great job!';
-        } else if (this.count === 25) {
-            message = '🏆 Amazing! You hit 25!';
-        } else if (this.count === 50) {
-            message = '🌟 Fantastic! Half century!';
-        } else if (this.count === 100) {
-            message = '🎊 Centurion! You made it to 100!';
-        } else if (this.count < 0) {
-            message = '⚠️ Going negative!';
-        } else if (this.count === 0) {
-            message = '📍 Back to zero!';
-        }
-        
-        this.counterMessage.textContent = message;
-        
-        // Clear message after 3 seconds (except for special messages)
-        if (message && !message.includes('negative')) {
-            setTimeout(() => {
-                this.counterMessage.textContent = '';
-            }, 3000);
-        }
+    /**
+     * setTimeout that is cancelled on destroy()
+     * @param {Function} handler - Callback
+     * @param {number} delay - Milliseconds
+     * @returns {number} - Timer id for clearTimer()
+     */
+    setTimer(handler, delay) {
+        const id = setTimeout(() => {
+            this.timers.delete(id);
+            handler();
+        }, delay);
+        this.timers.add(id);
+        return id;
     }
     
-    animateCounter() {
-        if (this.counterValue) {
-            this.counterValue.style.transform = 'scale(1.2)';
-            setTimeout(() => {
-                this.counterValue.style.transform = 'scale(1)';
-            }, 200);
-        }
+    /**
+     * setInterval that is cancelled on destroy()
+     * @param {Function} handler - Callback
+     * @param {number} delay - Milliseconds
+     * @returns {number} - Timer id for clearTimer()
+     */
+    setRepeatingTimer(handler, delay) {
+        const id = setInterval(handler, delay);
+        this.timers.add(id);
+        return id;
     }
     
-    handleKeyboard(e) {
-        switch(e.key) {
-            case '+':
-            case '=':
-                e.preventDefault();
-                this.increment();
-                break;
-            case '-':
-                e.preventDefault();
-                this.decrement();
-                break;
-            case '0':
-                if (e.ctrlKey) {
-                    e.preventDefault();
-                    this.reset();
-                }
-                break;
-        }
+    /**
+     * Cancel a timer started with setTimer() or setRepeatingTimer()
+     * Timeouts and intervals share one id pool, so clearTimeout handles both
+     * @param {number} id - Timer id
+     */
+    clearTimer(id) {
+        clearTimeout(id);
+        this.timers.delete(id);
     }
-}
-
-// ============================================================================
-// COLLAPSIBLE FAQ SECTION
-// ============================================================================
-
-/**
- * Collapsible FAQ section with smooth animations
- * Allows only one FAQ to be open at a time (accordion style)
- */
-class FAQSection {
-    constructor() {
-        this.faqQuestions = getElements('.faq-question');
-        this.init();
+    
+    /**
+     * Publish an event on the bus, tagged with this component's id
+     * @param {string} type - Event name from APP_EVENT_SCHEMA
+     * @param {Object} [payload] - Event data
+     */
+    publish(type, payload = {}) {
+        bus.publish(type, { component: this.id, ...payload });
     }
     
-    init() {
-        // Add click event listeners to all FAQ questions
-        this.faqQuestions.forEach(question => {
-            addEvent(question, 'click', () => this.toggleFAQ(question));
-        });
+    /**
+     * Show a notification, falling back to the component's own inline
+     * message area when the notification center cannot be used
+     * @param {Object} options - As for notifications.show()
+     * @param {Function} fallback - Renders the message inline instead
+     * @returns {string|null} - Notification id, or null when the fallback ran
+     */
+    notify(options, fallback) {
+        try {
+            return notifications.show(options);
+        } catch (error) {
+            console.warn('Notifications are unavailable, showing the message inline', error);
+            fallback();
+            return null;
+        }
     }
     
-    toggleFAQ(clickedQuestion) {
-        const targetId = clickedQuestion.getAttribute('data-target');
-        const targetAnswer = getElement(`#${targetId}`);
-        
-        // Close all other FAQs
-        this.faqQuestions.forEach(question => {
-            if (question !== clickedQuestion) {
-                question.classList.remove('active');
-                const otherTargetId = question.getAttribute('data-target');
-                const otherAnswer = getElement(`#${otherTargetId}`);
-                if (otherAnswer) {
-                    otherAnswer.classList.remove('active');
-                }
-            }
-        });
-        
-        // Toggle the clicked FAQ
-        clickedQuestion.classList.toggle('active');
-        if (targetAnswer) {
-            targetAnswer.classList.toggle('active');
+    /**
+     * Remove every listener, timer and subscription the component added
+     * Subclasses extend this to undo their own DOM changes
+     */
+    destroy() {
+        if (this.destroyed) {
+            return;
         }
+        
+        this.destroyed = true;
+        this.timers.forEach(id => clearTimeout(id));
+        this.timers.clear();
+        this.disposers.splice(0).reverse().forEach(dispose => dispose());
     }
 }
 
 // ============================================================================
-// TABBED INTERFACE
+// EVENT BUS
 // ============================================================================
 
 /**
- * Tabbed interface functionality
- * Allows switching between different content panels
+ * Events components publish, with the payload fields each one carries
+ * Component events also include "component", the publisher's registry id.
+ * Payloads describe what happened, never what the user typed.
  */
-class TabbedInterface {
-    constructor() {
-        this.tabButtons = getElements('.tab-btn');
-        this.tabPanels = getElements('.tab-panel');
-        this.init();
+const APP_EVENT_SCHEMA = {
+    'theme:changed': ['mode', 'theme', 'source'],
+    'locale:changed': ['locale', 'previous'],
+    'counter:changed': ['count', 'previous', 'action'],
+    'counter:milestone': ['count', 'message'],
+    'challenge:started': ['difficulty', 'target'],
+    'challenge:finished': ['difficulty', 'reachedTarget', 'score', 'rank'],
+    'faq:toggled': ['question', 'open'],
+    'tab:changed': ['tab', 'previousTab'],
+    'form:field-validated': ['field', 'valid', 'rule'],
+    'form:invalid': ['fields'],
+    'form:queued': [],
+    'form:submitted': [],
+    'form:submit-failed': ['status'],
+    'submission:sent': ['endpoint'],
+    'submission:failed': ['endpoint', 'status']
+};
+
+/**
+ * Publish/subscribe hub shared by all components
+ * Payloads are checked against a schema and a warning is logged for unknown
+ * events or missing fields. Subscribers to "*" receive every event.
+ */
+class EventBus {
+    /**
+     * @param {Object} [schema] - Event name to required payload fields
+     */
+    constructor(schema = {}) {
+        this.schema = schema;
+        this.subscribers = new Map();
     }
     
-    init() {
-        // Add click event listeners to all tab buttons
-        this.tabButtons.forEach(button => {
-            addEvent(button, 'click', () => this.switchTab(button));
-        });
+    /**
+     * Listen for an event
+     * @param {string} type - Event name, or "*" for all events
+     * @param {Function} handler - Called with {type, payload, timestamp}
+     * @returns {Function} - Unsubscribes
+     */
+    subscribe(type, handler) {
+        if (!this.subscribers.has(type)) {
+            this.subscribers.set(type, new Set());
+        }
+        this.subscribers.get(type).add(handler);
+        
+        return () => this.subscribers.get(type).delete(handler);
     }
     
-    switchTab(clickedButton) {
-        const targetTab = clickedButton.getAttribute('data-tab');
-        
-        // Remove active class from all buttons and panels
-        this.tabButtons.forEach(btn => btn.classList.remove('active'));
-        this.tabPanels.forEach(panel => panel.classList.remove('active'));
-        
-        // Add active class to clicked button and corresponding panel
-        clickedButton.classList.add('active');
-        const targetPanel = getElement(`#${targetTab}`);
-        if (targetPanel) {
-            targetPanel.classList.add('active');
+    /**
+     * Send an event to its subscribers
+     * A failing subscriber is logged and does not stop the others
+     * @param {string} type - Event name from the schema
+     * @param {Object} [payload] - Event data
+     */
+    publish(type, payload = {}) {
+        const fields = this.schema[type];
+        if (!fields) {
+            console.warn(`EventBus: unknown event "${type}"`);
+        } else {
+            const missing = fields.filter(field => !(field in payload));
+            if (missing.length > 0) {
+                console.warn(`EventBus: "${type}" is missing ${missing.join(', ')}`);
+            }
         }
+        
+        const event = { type, payload, timestamp: Date.now() };
+        [type, '*'].forEach(key => {
+            (this.subscribers.get(key) || []).forEach(handler => {
+                try {
+                    handler(event);
+                } catch (error) {
+                    console.error(`EventBus: subscriber for "${type}" failed`, error);
+                }
+            });
+        });
     }
 }
 
+// Carries component events to analytics and to other components
+const bus = new EventBus(APP_EVENT_SCHEMA);
+
 // ============================================================================
-// FORM VALIDATION
+// INTERNATIONALIZATION
 // ============================================================================
 
 /**
- * Comprehensive form validation with custom logic
- * Validates all form fields and provides real-time feedback
+ * Message catalogs keyed by locale
+ * Messages use {name} placeholders; an object value holds plural forms
+ * (zero/one/two/few/many/other) selected by the "count" parameter
  */
-class FormValidator {
-    constructor() {
-        this.form = getElement('#registrationForm');
-        this.formSuccess = getElement('#formSuccess');
-        this.fields = {
-            fullName: getElement('#fullName'),
-            email: getElement('#email'),
-            password: getElement('#password'),
-            confirmPassword: getElement('#confirmPassword'),
-            age: getElement('#age'),
-            phone: getElement('#phone'),
-            terms: getElement('#terms')
-        };
+const TRANSLATIONS = {
+    en: {
+        'language.label': 'Language',
+        'analytics.optOut': "Don't share anonymous usage statistics",
+        'shortcuts.title': 'Keyboard shortcuts',
+        'shortcuts.open': 'Show keyboard shortcuts',
+        'shortcuts.close': 'Close',
+        'shortcuts.reset': 'Restore defaults',
+        'shortcuts.or': 'or',
+        'shortcuts.change': 'Change',
+        'shortcuts.changeLabel': 'Change shortcut for {action}',
+        'shortcuts.recording': 'Press keys…',
+        'shortcuts.recordingHint': 'Press the new key combination, or Escape to cancel.',
+        'shortcuts.saved': 'Saved: {keys}',
+        'shortcuts.conflict': '{keys} is already used for "{action}".',
+        'shortcuts.group.general': 'General',
+        'shortcuts.group.counter': 'Counter (while focused)',
+        'shortcuts.group.faq': 'FAQ',
+        'shortcuts.help': 'Show this help',
+        'shortcuts.counter.increment': 'Increase the counter',
+        'shortcuts.counter.decrement': 'Decrease the counter',
+        'shortcuts.counter.reset': 'Reset the counter',
+        'shortcuts.counter.undo': 'Undo the last counter change',
+        'shortcuts.counter.redo': 'Redo a counter change',
+        'shortcuts.faq.search': 'Search the FAQ',
+        'theme.switchTo': 'Switch to {theme} theme',
+        'theme.light': 'light',
+        'theme.dark': 'dark',
+        'theme.system': 'system',
+        'theme.highContrast': 'high contrast',
         
-        this.errorElements = {
-            fullName: getElement('#fullNameError'),
-            email: getElement('#emailError'),
-            password: getElement('#passwordError'),
-            confirmPassword: getElement('#confirmPasswordError'),
-            age: getElement('#ageError'),
-            phone: getElement('#phoneError'),
-            terms: getElement('#termsError')
-        };
+        'counter.milestone10': '🎉 You reached {count}! Great job!',
+        'counter.milestone25': '🏆 Amazing! You hit {count}!',
+        'counter.milestone50': '🌟 Fantastic! Half century!',
+        'counter.milestone100': '🎊 Centurion! You made it to {count}!',
+        'counter.negative': '⚠️ Going negative!',
+        'counter.zero': '📍 Back to zero!',
+        'counter.reset': 'Counter reset!',
+        'counter.undo': 'Undo',
+        'counter.redo': 'Redo',
+        'counter.historyLabel': 'Counter history',
+        'counter.history.increment': '+{step} → {value}',
+        'counter.history.decrement': '−{step} → {value}',
+        'counter.history.reset': 'Reset → {value}',
+        'challenge.title': 'Challenge mode',
+        'challenge.nameLabel': 'Player name',
+        'challenge.namePlaceholder': 'Your name',
+        'challenge.difficultyLabel': 'Difficulty',
+        'challenge.difficulty.easy': 'Easy',
+        'challenge.difficulty.normal': 'Normal',
+        'challenge.difficulty.hard': 'Hard',
+        'challenge.start': 'Start challenge',
+        'challenge.anonymous': 'Anonymous',
+        'challenge.noTarget': 'There is no target this counter can reach at this difficulty. Try another difficulty or reset the counter.',
+        'challenge.target': 'Reach {target}!',
+        'challenge.timeLeft': '⏱️ {seconds}s left',
+        'challenge.paused': '⏸️ Paused with {seconds}s left',
+        'challenge.pause': 'Pause',
+        'challenge.resume': 'Resume',
+        'challenge.quit': 'Quit',
+        'challenge.won': '🎯 You reached {target}!',
+        'challenge.timeUp': '⌛ Time is up! The target was {target}.',
+        'challenge.score': 'Score',
+        'challenge.time': 'Time',
+        'challenge.seconds': '{seconds}s',
+        'challenge.accuracy': 'Accuracy',
+        'challenge.rank': '🏅 New high score, rank #{rank}!',
+        'challenge.noRank': 'Not quite enough for the top 10.',
+        'challenge.playAgain': 'Play again',
+        'challenge.leaderboard': 'Top 10',
+        'challenge.noScores': 'No scores yet. Be the first!',
         
-        this.init();
-    }
-    
-    init() {
-        // Add form submit event listener
-        addEvent(this.form, 'submit', (e) => this.handleSubmit(e));
+        'validation.required': 'This field is required',
+        'validation.checked': 'Please tick this box to continue',
+        'validation.minLength': { one: 'Must be at least {count} character', other: 'Must be at least {count} characters' },
+        'validation.maxLength': { one: 'Must be at most {count} character', other: 'Must be at most {count} characters' },
+        'validation.number': 'Please enter a valid number',
+        'validation.min': 'Must be at least {value}',
+        'validation.max': 'Must be at most {value}',
+        'validation.pattern': 'Please enter a valid value',
+        'validation.matches': 'Values do not match',
+        'validation.phone': 'Please enter a valid phone number',
+        'validation.age': 'Please enter a valid age or date of birth',
+        'validation.minAge': 'Must be at least {value} years old',
+        'validation.maxAge': 'Must be at most {value} years old',
+        'validation.custom': 'Please enter a valid value',
+        'validation.asyncFailed': 'Could not verify this value, please try again',
+        'validation.checking': 'Checking…',
         
-        // Add real-time validation for each field
-        this.addRealTimeValidation();
-    }
-    
-    addRealTimeValidation() {
-        // Full name validation
-        addEvent(this.fields.fullName, 'blur', () => this.validateFullName());
-        addEvent(this.fields.fullName, 'input', () => this.clearError('fullName'));
+        'registration.fullNameRequired': 'Full name is required',
+        'registration.fullNameMinLength': { one: 'Full name must be at least {count} character', other: 'Full name must be at least {count} characters' },
+        'registration.fullNamePattern': 'Full name can only contain letters, spaces, hyphens and apostrophes',
+        'registration.emailRequired': 'Email address is required',
+        'registration.emailInvalid': 'Please enter a valid email address',
+        'registration.emailTaken': 'This email is already registered',
+        'registration.passwordRequired': 'Password is required',
+        'registration.passwordMinLength': { one: 'Password must be at least {count} character long', other: 'Password must be at least {count} characters long' },
+        'registration.passwordUppercase': 'Password must contain at least one uppercase letter',
+        'registration.passwordLowercase': 'Password must contain at least one lowercase letter',
+        'registration.passwordNumber': 'Password must contain at least one number',
+        'registration.passwordSpecial': 'Password must contain at least one special character',
+        'registration.passwordCommon': 'This password is too common',
+        'registration.passwordWeak': 'Password is too weak, try making it longer',
+        'registration.confirmPasswordRequired': 'Please confirm your password',
+        'registration.confirmPasswordMismatch': 'Passwords do not match',
+        'registration.ageRequired': 'Age is required',
+        'registration.ageInvalid': 'Please enter a valid age',
+        'registration.ageMin': 'You must be at least {value} years old',
+        'registration.phoneInvalid': 'Please enter a valid phone number for the selected country',
+        'registration.guardianEmailRequired': 'A parent or guardian email is required if you are under 18',
+        'registration.guardianEmailSame': 'The parent or guardian email must be different from yours',
+        'registration.termsRequired': 'You must agree to the Terms and Conditions',
         
-        // Email validation
-        addEvent(this.fields.email, 'blur', () => this.validateEmail());
-        addEvent(this.fields.email, 'input', () => this.clearError('email'));
+        'phone.country': 'Phone country code',
+        'repeat.itemLabel': '{label} {index}',
+        'repeat.remove': 'Remove {label}',
         
-        // Password validation
-        addEvent(this.fields.password, 'blur', () => this.validatePassword());
-        addEvent(this.fields.password, 'input', () => this.clearError('password'));
+        'wizard.back': 'Back',
+        'wizard.next': 'Next',
+        'wizard.progress': 'Step {step} of {total}',
+        'wizard.stepAnnouncement': 'Step {step} of {total}: {title}',
+        'wizard.review': 'Review',
+        'wizard.reviewIntro': 'Check your details before you register.',
+        'wizard.edit': 'Edit',
+        'wizard.editStep': 'Edit {title}',
+        'wizard.yes': 'Yes',
+        'wizard.no': 'No',
+        'wizard.notProvided': 'Not provided',
         
-        // Confirm password validation
-        addEvent(this.fields.confirmPassword, 'blur', () => this.validateConfirmPassword());
-        addEvent(this.fields.confirmPassword, 'input', () => this.clearError('confirmPassword'));
+        'password.strength': 'Strength: {label}',
+        'password.strength0': 'Very weak',
+        'password.strength1': 'Weak',
+        'password.strength2': 'Fair',
+        'password.strength3': 'Strong',
+        'password.strength4': 'Very strong',
+        'password.checkLength': { one: 'At least {count} character', other: 'At least {count} characters' },
+        'password.checkUppercase': 'An uppercase letter',
+        'password.checkLowercase': 'A lowercase letter',
+        'password.checkNumber': 'A number',
+        'password.checkSpecial': 'A special character',
+        'password.checkCommon': 'Not a common password',
         
-        // Age validation
-        addEvent(this.fields.age, 'blur', () => this.validateAge());
-        addEvent(this.fields.age, 'input', () => this.clearError('age'));
+        'form.submitting': 'Submitting…',
+        'form.genericError': 'Something went wrong. Please try again.',
+        'form.errorSummary': { one: 'There is {count} problem with this form', other: 'There are {count} problems with this form' },
+        'form.errorSummaryItem': '{label}: {message}',
+        'form.successTitle': '🎉 Registration Successful!',
+        'form.successMessage': 'Thank you for registering. Your account has been created successfully.',
+        'notifications.dismiss': 'Dismiss notification',
+        'submission.network': 'Could not reach the server. Please check your connection.',
+        'submission.failed': 'Request failed with status {status}',
+        'submission.queued': "You're offline. Keep this page open and your registration will be sent when you're back online.",
+        'submission.queuedFailed': 'Your registration saved while offline could not be sent (status {status}). Please try again.',
+        'update.available': 'A new version of this page is available.',
+        'update.reload': 'Reload',
+        'update.dismiss': 'Later',
         
-        // Phone validation
-        addEvent(this.fields.phone, 'blur', () => this.validatePhone());
-        addEvent(this.fields.phone, 'input', () => this.clearError('phone'));
+        'draft.prompt': 'You have unsaved answers from {date}.',
+        'draft.restore': 'Restore',
+        'draft.discard': 'Discard',
         
-        // Terms validation
-        addEvent(this.fields.terms, 'change', () => this.validateTerms());
-    }
-    
-    handleSubmit(e) {
-        e.preventDefault();
+        'faq.searchLabel': 'Search frequently asked questions',
+        'faq.searchPlaceholder': 'Search questions…',
+        'faq.expandAll': 'Expand all',
+        'faq.collapseAll': 'Collapse all',
+        'faq.noResults': 'No questions match your search.',
+        'faq.loading': 'Loading questions…',
+        'faq.loadError': 'Could not load the questions.',
+        'faq.retry': 'Try again',
         
-        // Validate all fields
-        const isValid = this.validateAllFields();
+        'console.loaded': '🚀 Interactive Web Page loaded successfully!',
+        'console.features': 'Features available:',
+        'console.theme': '- 🌙 Dark/Light theme toggle',
+        'console.counter': '- 🎮 Interactive counter game',
+        'console.faq': '- ❓ Collapsible FAQ section',
+        'console.tabs': '- 📑 Tabbed interface',
+        'console.form': '- 📋 Form validation',
+        'console.shortcuts': '- ⌨️ Keyboard shortcuts (press ? for the full list)'
+    },
+    es: {
+        'language.label': 'Idioma',
+        'analytics.optOut': 'No compartir estadísticas de uso anónimas',
+        'shortcuts.title': 'Atajos de teclado',
+        'shortcuts.open': 'Mostrar atajos de teclado',
+        'shortcuts.close': 'Cerrar',
+        'shortcuts.reset': 'Restaurar valores predeterminados',
+        'shortcuts.or': 'o',
+        'shortcuts.change': 'Cambiar',
+        'shortcuts.changeLabel': 'Cambiar atajo para {action}',
+        'shortcuts.recording': 'Pulsa teclas…',
+        'shortcuts.recordingHint': 'Pulsa la nueva combinación de teclas o Escape para cancelar.',
+        'shortcuts.saved': 'Guardado: {keys}',
+        'shortcuts.conflict': '{keys} ya se usa para «{action}».',
+        'shortcuts.group.general': 'General',
+        'shortcuts.group.counter': 'Contador (con el foco)',
+        'shortcuts.group.faq': 'Preguntas frecuentes',
+        'shortcuts.help': 'Mostrar esta ayuda',
+        'shortcuts.counter.increment': 'Aumentar el contador',
+        'shortcuts.counter.decrement': 'Disminuir el contador',
+        'shortcuts.counter.reset': 'Reiniciar el contador',
+        'shortcuts.counter.undo': 'Deshacer el último cambio del contador',
+        'shortcuts.counter.redo': 'Rehacer un cambio del contador',
+        'shortcuts.faq.search': 'Buscar en las preguntas frecuentes',
+        'theme.switchTo': 'Cambiar al tema {theme}',
+        'theme.light': 'claro',
+        'theme.dark': 'oscuro',
+        'theme.system': 'del sistema',
+        'theme.highContrast': 'de alto contraste',
         
-        if (isValid) {
-            this.showSuccess();
-        } else {
-            this.showFormErrors();
-        }
-    }
-    
-    validateAllFields() {
-        const validations = [
-            this.validateFullName(),
-            this.validateEmail(),
-            this.validatePassword(),
-            this.validateConfirmPassword(),
-            this.validateAge(),
-            this.validatePhone(),
-            this.validateTerms()
-        ];
+        'counter.milestone10': '🎉 ¡Llegaste a {count}! ¡Buen trabajo!',
+        'counter.milestone25': '🏆 ¡Increíble! ¡Alcanzaste {count}!',
+        'counter.milestone50': '🌟 ¡Fantástico! ¡Medio centenar!',
+        'counter.milestone100': '🎊 ¡Centurión! ¡Llegaste a {count}!',
+        'counter.negative': '⚠️ ¡Números negativos!',
+        'counter.zero': '📍 ¡De vuelta a cero!',
+        'counter.reset': '¡Contador reiniciado!',
+        'counter.undo': 'Deshacer',
+        'counter.redo': 'Rehacer',
+        'counter.historyLabel': 'Historial del contador',
+        'counter.history.increment': '+{step} → {value}',
+        'counter.history.decrement': '−{step} → {value}',
+        'counter.history.reset': 'Reinicio → {value}',
+        'challenge.title': 'Modo desafío',
+        'challenge.nameLabel': 'Nombre del jugador',
+        'challenge.namePlaceholder': 'Tu nombre',
+        'challenge.difficultyLabel': 'Dificultad',
+        'challenge.difficulty.easy': 'Fácil',
+        'challenge.difficulty.normal': 'Normal',
+        'challenge.difficulty.hard': 'Difícil',
+        'challenge.start': 'Empezar desafío',
+        'challenge.anonymous': 'Anónimo',
+        'challenge.noTarget': 'Este contador no puede alcanzar ningún objetivo en esta dificultad. Prueba otra dificultad o reinicia el contador.',
+        'challenge.target': '¡Llega a {target}!',
+        'challenge.timeLeft': '⏱️ Quedan {seconds} s',
+        'challenge.paused': '⏸️ En pausa, quedan {seconds} s',
+        'challenge.pause': 'Pausa',
+        'challenge.resume': 'Continuar',
+        'challenge.quit': 'Salir',
+        'challenge.won': '🎯 ¡Llegaste a {target}!',
+        'challenge.timeUp': '⌛ ¡Se acabó el tiempo! El objetivo era {target}.',
+        'challenge.score': 'Puntuación',
+        'challenge.time': 'Tiempo',
+        'challenge.seconds': '{seconds} s',
+        'challenge.accuracy': 'Precisión',
+        'challenge.rank': '🏅 ¡Nuevo récord, puesto n.º {rank}!',
+        'challenge.noRank': 'No alcanza para el top 10.',
+        'challenge.playAgain': 'Jugar de nuevo',
+        'challenge.leaderboard': 'Top 10',
+        'challenge.noScores': 'Aún no hay puntuaciones. ¡Sé el primero!',
         
-        return validations.every(validation => validation === true);
-    }
-    
-    validateFullName() {
-        const value = this.fields.fullName.value.trim();
-        const errorElement = this.errorElements.fullName;
+        'validation.required': 'Este campo es obligatorio',
+        'validation.checked': 'Marca esta casilla para continuar',
+        'validation.minLength': { one: 'Debe tener al menos {count} carácter', other: 'Debe tener al menos {count} caracteres' },
+        'validation.maxLength': { one: 'Debe tener como máximo {count} carácter', other: 'Debe tener como máximo {count} caracteres' },
+        'validation.number': 'Introduce un número válido',
+        'validation.min': 'Debe ser al menos {value}',
+        'validation.max': 'Debe ser como máximo {value}',
+        'validation.pattern': 'Introduce un valor válido',
+        'validation.matches': 'Los valores no coinciden',
+        'validation.phone': 'Introduce un teléfono válido',
+        'validation.age': 'Introduce una edad o fecha de nacimiento válida',
+        'validation.minAge': 'Debe tener al menos {value} años',
+        'validation.maxAge': 'Debe tener como máximo {value} años',
+        'validation.custom': 'Introduce un valor válido',
+        'validation.asyncFailed': 'No se pudo verificar este valor, inténtalo de nuevo',
+        'validation.checking': 'Comprobando…',
         
-        if (!value) {
-            this.showError('fullName', 'Full name is required');
-            return false;
-        }
+        'registration.fullNameRequired': 'El nombre completo es obligatorio',
+        'registration.fullNameMinLength': { one: 'El nombre debe tener al menos {count} carácter', other: 'El nombre debe tener al menos {count} caracteres' },
+        'registration.fullNamePattern': 'El nombre solo puede contener letras, espacios, guiones y apóstrofos',
+        'registration.emailRequired': 'El correo electrónico es obligatorio',
+        'registration.emailInvalid': 'Introduce un correo electrónico válido',
+        'registration.emailTaken': 'Este correo ya está registrado',
+        'registration.passwordRequired': 'La contraseña es obligatoria',
+        'registration.passwordMinLength': { one: 'La contraseña debe tener al menos {count} carácter', other: 'La contraseña debe tener al menos {count} caracteres' },
+        'registration.passwordUppercase': 'La contraseña debe incluir al menos una mayúscula',
+        'registration.passwordLowercase': 'La contraseña debe incluir al menos una minúscula',
+        'registration.passwordNumber': 'La contraseña debe incluir al menos un número',
+        'registration.passwordSpecial': 'La contraseña debe incluir al menos un carácter especial',
+        'registration.passwordCommon': 'Esta contraseña es demasiado común',
+        'registration.passwordWeak': 'La contraseña es demasiado débil, prueba a alargarla',
+        'registration.confirmPasswordRequired': 'Confirma tu contraseña',
+        'registration.confirmPasswordMismatch': 'Las contraseñas no coinciden',
+        'registration.ageRequired': 'La edad es obligatoria',
+        'registration.ageInvalid': 'Introduce una edad válida',
+        'registration.ageMin': 'Debes tener al menos {value} años',
+        'registration.phoneInvalid': 'Introduce un teléfono válido para el país seleccionado',
+        'registration.guardianEmailRequired': 'Si eres menor de 18 años, se necesita el correo de un padre, madre o tutor',
+        'registration.guardianEmailSame': 'El correo del padre, madre o tutor debe ser distinto del tuyo',
+        'registration.termsRequired': 'Debes aceptar los Términos y Condiciones',
         
-        if (value.length < 2) {
-            this.showError('fullName', 'Full name must be at least 2 characters');
-            return false;
-        }
+        'phone.country': 'Prefijo telefónico del país',
+        'repeat.itemLabel': '{label} {index}',
+        'repeat.remove': 'Quitar {label}',
         
-        if (!/^[a-zA-Z\s]+$/.test(value)) {
-            this.showError('fullName', 'Full name can only contain letters and spaces');
-            return false;
-        }
+        'wizard.back': 'Atrás',
+        'wizard.next': 'Siguiente',
+        'wizard.progress': 'Paso {step} de {total}',
+        'wizard.stepAnnouncement': 'Paso {step} de {total}: {title}',
+        'wizard.review': 'Revisión',
+        'wizard.reviewIntro': 'Revisa tus datos antes de registrarte.',
+        'wizard.edit': 'Editar',
+        'wizard.editStep': 'Editar {title}',
+        'wizard.yes': 'Sí',
+        'wizard.no': 'No',
+        'wizard.notProvided': 'Sin indicar',
         
-        this.showSuccess('fullName');
-        return true;
-    }
-    
-    validateEmail() {
-        const value = this.fields.email.value.trim();
-        const errorElement = this.errorElements.email;
+        'password.strength': 'Seguridad: {label}',
+        'password.strength0': 'Muy débil',
+        'password.strength1': 'Débil',
+        'password.strength2': 'Aceptable',
+        'password.strength3': 'Fuerte',
+        'password.strength4': 'Muy fuerte',
+        'password.checkLength': { one: 'Al menos {count} carácter', other: 'Al menos {count} caracteres' },
+        'password.checkUppercase': 'Una letra mayúscula',
+        'password.checkLowercase': 'Una letra minúscula',
+        'password.checkNumber': 'Un número',
+        'password.checkSpecial': 'Un carácter especial',
+        'password.checkCommon': 'No es una contraseña común',
         
-        if (!value) {
-            this.showError('email', 'Email address is required');
-            return false;
-        }
+        'form.submitting': 'Enviando…',
+        'form.genericError': 'Algo salió mal. Inténtalo de nuevo.',
+        'form.errorSummary': { one: 'Hay {count} problema en este formulario', other: 'Hay {count} problemas en este formulario' },
+        'form.errorSummaryItem': '{label}: {message}',
+        'form.successTitle': '🎉 ¡Registro completado!',
+        'form.successMessage': 'Gracias por registrarte. Tu cuenta se ha creado correctamente.',
+        'notifications.dismiss': 'Cerrar notificación',
+        'submission.network': 'No se pudo conectar con el servidor. Comprueba tu conexión.',
+        'submission.failed': 'La solicitud falló con el estado {status}',
+        'submission.queued': 'Estás sin conexión. Mantén esta página abierta y tu registro se enviará cuando vuelvas a estar en línea.',
+        'submission.queuedFailed': 'No se pudo enviar el registro guardado sin conexión (estado {status}). Inténtalo de nuevo.',
+        'update.available': 'Hay una nueva versión de esta página.',
+        'update.reload': 'Recargar',
+        'update.dismiss': 'Más tarde',
         
-        const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
-        if (!emailRegex.test(value)) {
-            this.showError('email', 'Please enter a valid email address');
-            return false;
-        }
+        'draft.prompt': 'Tienes respuestas sin enviar del {date}.',
+        'draft.restore': 'Restaurar',
+        'draft.discard': 'Descartar',
         
-        this.showSuccess('email');
-        return true;
-    }
-    
-    validatePassword() {
-        const value = this.fields.password.value;
-        const errorElement = this.errorElements.password;
+        'faq.searchLabel': 'Buscar en las preguntas frecuentes',
+        'faq.searchPlaceholder': 'Buscar preguntas…',
+        'faq.expandAll': 'Expandir todo',
+        'faq.collapseAll': 'Contraer todo',
+        'faq.noResults': 'Ninguna pregunta coincide con tu búsqueda.',
+        'faq.loading': 'Cargando preguntas…',
+        'faq.loadError': 'No se pudieron cargar las preguntas.',
+        'faq.retry': 'Reintentar',
         
-        if (!value) {
-            this.showError('password', 'Password is required');
-            return false;
-        }
+        'console.loaded': '🚀 ¡Página interactiva cargada correctamente!',
+        'console.features': 'Funciones disponibles:',
+        'console.theme': '- 🌙 Cambio de tema claro/oscuro',
+        'console.counter': '- 🎮 Juego de contador interactivo',
+        'console.faq': '- ❓ Sección de preguntas frecuentes plegable',
+        'console.tabs': '- 📑 Interfaz con pestañas',
+        'console.form': '- 📋 Validación de formularios',
+        'console.shortcuts': '- ⌨️ Atajos de teclado (pulsa ? para ver la lista)'
+    },
+    ar: {
+        'language.label': 'اللغة',
+        'analytics.optOut': 'عدم مشاركة إحصاءات الاستخدام المجهولة',
+        'shortcuts.title': 'اختصارات لوحة المفاتيح',
+        'shortcuts.open': 'عرض اختصارات لوحة المفاتيح',
+        'shortcuts.close': 'إغلاق',
+        'shortcuts.reset': 'استعادة الإعدادات الافتراضية',
+        'shortcuts.or': 'أو',
+        'shortcuts.change': 'تغيير',
+        'shortcuts.changeLabel': 'تغيير اختصار {action}',
+        'shortcuts.recording': 'اضغط المفاتيح…',
+        'shortcuts.recordingHint': 'اضغط تركيبة المفاتيح الجديدة، أو Escape للإلغاء.',
+        'shortcuts.saved': 'تم الحفظ: {keys}',
+        'shortcuts.conflict': '{keys} مستخدم بالفعل لـ «{action}».',
+        'shortcuts.group.general': 'عام',
+        'shortcuts.group.counter': 'العداد (عند التركيز)',
+        'shortcuts.group.faq': 'الأسئلة الشائعة',
+        'shortcuts.help': 'عرض هذه المساعدة',
+        'shortcuts.counter.increment': 'زيادة العداد',
+        'shortcuts.counter.decrement': 'إنقاص العداد',
+        'shortcuts.counter.reset': 'إعادة تعيين العداد',
+        'shortcuts.counter.undo': 'التراجع عن آخر تغيير في العداد',
+        'shortcuts.counter.redo': 'إعادة تغيير في العداد',
+        'shortcuts.faq.search': 'البحث في الأسئلة الشائعة',
+        'theme.switchTo': 'التبديل إلى السمة {theme}',
+        'theme.light': 'الفاتحة',
+        'theme.dark': 'الداكنة',
+        'theme.system': 'الخاصة بالنظام',
+        'theme.highContrast': 'عالية التباين',
         
-        if (value.length < 8) {
-            this.showError('password', 'Password must be at least 8 characters long');
-            return false;
-        }
+        'counter.milestone10': '🎉 وصلت إلى {count}! عمل رائع!',
+        'counter.milestone25': '🏆 مذهل! بلغت {count}!',
+        'counter.milestone50': '🌟 رائع! نصف المئة!',
+        'counter.milestone100': '🎊 أحسنت! وصلت إلى {count}!',
+        'counter.negative': '⚠️ القيمة أصبحت سالبة!',
+        'counter.zero': '📍 عدت إلى الصفر!',
+        'counter.reset': 'تمت إعادة تعيين العداد!',
+        'counter.undo': 'تراجع',
+        'counter.redo': 'إعادة',
+        'counter.historyLabel': 'سجل العداد',
+        'counter.history.increment': '+{step} ← {value}',
+        'counter.history.decrement': '−{step} ← {value}',
+        'counter.history.reset': 'إعادة تعيين ← {value}',
+        'challenge.title': 'وضع التحدي',
+        'challenge.nameLabel': 'اسم اللاعب',
+        'challenge.namePlaceholder': 'اسمك',
+        'challenge.difficultyLabel': 'الصعوبة',
+        'challenge.difficulty.easy': 'سهل',
+        'challenge.difficulty.normal': 'عادي',
+        'challenge.difficulty.hard': 'صعب',
+        'challenge.start': 'ابدأ التحدي',
+        'challenge.anonymous': 'مجهول',
+        'challenge.noTarget': 'لا يوجد هدف يمكن لهذا العداد الوصول إليه بهذه الصعوبة. جرّب صعوبة أخرى أو أعد تعيين العداد.',
+        'challenge.target': 'اوصل إلى {target}!',
+        'challenge.timeLeft': '⏱️ متبقٍ {seconds} ث',
+        'challenge.paused': '⏸️ متوقف مؤقتًا، متبقٍ {seconds} ث',
+        'challenge.pause': 'إيقاف مؤقت',
+        'challenge.resume': 'استئناف',
+        'challenge.quit': 'خروج',
+        'challenge.won': '🎯 وصلت إلى {target}!',
+        'challenge.timeUp': '⌛ انتهى الوقت! كان الهدف {target}.',
+        'challenge.score': 'النتيجة',
+        'challenge.time': 'الوقت',
+        'challenge.seconds': '{seconds} ث',
+        'challenge.accuracy': 'الدقة',
+        'challenge.rank': '🏅 رقم قياسي جديد، المركز {rank}!',
+        'challenge.noRank': 'ليست كافية لدخول أفضل 10.',
+        'challenge.playAgain': 'العب مرة أخرى',
+        'challenge.leaderboard': 'أفضل 10',
+        'challenge.noScores': 'لا توجد نتائج بعد. كن الأول!',
         
-        const hasUpperCase = /[A-Z]/.test(value);
-        const hasLowerCase = /[a-z]/.test(value);
-        const hasNumbers = /\d/.test(value);
-        const hasSpecialChar = /[!@#$%^&*(),.?":{}|<>]/.test(value);
+        'validation.required': 'هذا الحقل مطلوب',
+        'validation.checked': 'يرجى تحديد هذا المربع للمتابعة',
+        'validation.minLength': { one: 'يجب ألا يقل عن حرف واحد', two: 'يجب ألا يقل عن حرفين', few: 'يجب ألا يقل عن {count} أحرف', other: 'يجب ألا يقل عن {count} حرفًا' },
+        'validation.maxLength': { one: 'يجب ألا يزيد عن حرف واحد', two: 'يجب ألا يزيد عن حرفين', few: 'يجب ألا يزيد عن {count} أحرف', other: 'يجب ألا يزيد عن {count} حرفًا' },
+        'validation.number': 'يرجى إدخال رقم صالح',
+        'validation.min': 'يجب ألا يقل عن {value}',
+        'validation.max': 'يجب ألا يزيد عن {value}',
+        'validation.pattern': 'يرجى إدخال قيمة صالحة',
+        'validation.matches': 'القيم غير متطابقة',
+        'validation.phone': 'يرجى إدخال رقم هاتف صالح',
+        'validation.age': 'يرجى إدخال عمر أو تاريخ ميلاد صالح',
+        'validation.minAge': 'يجب ألا يقل العمر عن {value} عامًا',
+        'validation.maxAge': 'يجب ألا يزيد العمر عن {value} عامًا',
+        'validation.custom': 'يرجى إدخال قيمة صالحة',
+        'validation.asyncFailed': 'تعذر التحقق من هذه القيمة، يرجى المحاولة مرة أخرى',
+        'validation.checking': 'جارٍ التحقق…',
         
-        if (!hasUpperCase) {
-            this.showError('password', 'Password must contain at least one uppercase letter');
-            return false;
-        }
+        'registration.fullNameRequired': 'الاسم الكامل مطلوب',
+        'registration.fullNameMinLength': { one: 'يجب ألا يقل الاسم عن حرف واحد', two: 'يجب ألا يقل الاسم عن حرفين', few: 'يجب ألا يقل الاسم عن {count} أحرف', other: 'يجب ألا يقل الاسم عن {count} حرفًا' },
+        'registration.fullNamePattern': 'يمكن أن يحتوي الاسم على أحرف ومسافات وشرطات وفواصل علوية فقط',
+        'registration.emailRequired': 'البريد الإلكتروني مطلوب',
+        'registration.emailInvalid': 'يرجى إدخال بريد إلكتروني صالح',
+        'registration.emailTaken': 'هذا البريد الإلكتروني مسجل بالفعل',
+        'registration.passwordRequired': 'كلمة المرور مطلوبة',
+        'registration.passwordMinLength': { one: 'يجب ألا تقل كلمة المرور عن حرف واحد', two: 'يجب ألا تقل كلمة المرور عن حرفين', few: 'يجب ألا تقل كلمة المرور عن {count} أحرف', other: 'يجب ألا تقل كلمة المرور عن {count} حرفًا' },
+        'registration.passwordUppercase': 'يجب أن تحتوي كلمة المرور على حرف كبير واحد على الأقل',
+        'registration.passwordLowercase': 'يجب أن تحتوي كلمة المرور على حرف صغير واحد على الأقل',
+        'registration.passwordNumber': 'يجب أن تحتوي كلمة المرور على رقم واحد على الأقل',
+        'registration.passwordSpecial': 'يجب أن تحتوي كلمة المرور على رمز خاص واحد على الأقل',
+        'registration.passwordCommon': 'كلمة المرور هذه شائعة جدًا',
+        'registration.passwordWeak': 'كلمة المرور ضعيفة جدًا، جرّب جعلها أطول',
+        'registration.confirmPasswordRequired': 'يرجى تأكيد كلمة المرور',
+        'registration.confirmPasswordMismatch': 'كلمتا المرور غير متطابقتين',
+        'registration.ageRequired': 'العمر مطلوب',
+        'registration.ageInvalid': 'يرجى إدخال عمر صالح',
+        'registration.ageMin': 'يجب ألا يقل عمرك عن {value} عامًا',
+        'registration.phoneInvalid': 'يرجى إدخال رقم هاتف صالح للدولة المحددة',
+        'registration.guardianEmailRequired': 'البريد الإلكتروني لولي الأمر مطلوب إذا كان عمرك أقل من 18 عامًا',
+        'registration.guardianEmailSame': 'يجب أن يختلف البريد الإلكتروني لولي الأمر عن بريدك',
+        'registration.termsRequired': 'يجب الموافقة على الشروط والأحكام',
         
-        if (!hasLowerCase) {
-            this.showError('password', 'Password must contain at least one lowercase letter');
-            return false;
-        }
+        'phone.country': 'رمز الدولة للهاتف',
+        'repeat.itemLabel': '{label} {index}',
+        'repeat.remove': 'إزالة {label}',
         
-        if (!hasNumbers) {
-            this.showError('password', 'Password must contain at least one number');
-            return false;
-        }
+        'wizard.back': 'السابق',
+        'wizard.next': 'التالي',
+        'wizard.progress': 'الخطوة {step} من {total}',
+        'wizard.stepAnnouncement': 'الخطوة {step} من {total}: {title}',
+        'wizard.review': 'المراجعة',
+        'wizard.reviewIntro': 'راجع بياناتك قبل التسجيل.',
+        'wizard.edit': 'تعديل',
+        'wizard.editStep': 'تعديل {title}',
+        'wizard.yes': 'نعم',
+        'wizard.no': 'لا',
+        'wizard.notProvided': 'غير مُدخل',
         
-        if (!hasSpecialChar) {
-            this.showError('password', 'Password must contain at least one special character');
-            return false;
-        }
+        'password.strength': 'القوة: {label}',
+        'password.strength0': 'ضعيفة جدًا',
+        'password.strength1': 'ضعيفة',
+        'password.strength2': 'مقبولة',
+        'password.strength3': 'قوية',
+        'password.strength4': 'قوية جدًا',
+        'password.checkLength': { one: 'حرف واحد على الأقل', two: 'حرفان على الأقل', few: '{count} أحرف على الأقل', other: '{count} حرفًا على الأقل' },
+        'password.checkUppercase': 'حرف كبير',
+        'password.checkLowercase': 'حرف صغير',
+        'password.checkNumber': 'رقم',
+        'password.checkSpecial': 'رمز خاص',
+        'password.checkCommon': 'ليست كلمة مرور شائعة',
         
-        this.showSuccess('password');
-        return true;
-    }
-    
-    validateConfirmPassword() {
-        const value = this.fields.confirmPassword.value;
-        const passwordValue = this.fields.password.value;
+        'form.submitting': 'جارٍ الإرسال…',
+        'form.genericError': 'حدث خطأ ما. يرجى المحاولة مرة أخرى.',
+        'form.errorSummary': { one: 'توجد مشكلة واحدة في هذا النموذج', two: 'توجد مشكلتان في هذا النموذج', few: 'توجد {count} مشكلات في هذا النموذج', other: 'توجد {count} مشكلة في هذا النموذج' },
+        'form.errorSummaryItem': '{label}: {message}',
+        'form.successTitle': '🎉 تم التسجيل بنجاح!',
+        'form.successMessage': 'شكرًا لتسجيلك. تم إنشاء حسابك بنجاح.',
+        'notifications.dismiss': 'إغلاق الإشعار',
+        'submission.network': 'تعذر الوصول إلى الخادم. يرجى التحقق من اتصالك.',
+        'submission.failed': 'فشل الطلب بالحالة {status}',
+        'submission.queued': 'أنت غير متصل. أبقِ هذه الصفحة مفتوحة وسيتم إرسال تسجيلك عند عودة الاتصال.',
+        'submission.queuedFailed': 'تعذر إرسال التسجيل المحفوظ دون اتصال (الحالة {status}). يرجى المحاولة مرة أخرى.',
+        'update.available': 'يتوفر إصدار جديد من هذه الصفحة.',
+        'update.reload': 'إعادة التحميل',
+        'update.dismiss': 'لاحقًا',
         
-        if (!value) {
-            this.showError('confirmPassword', 'Please confirm your password');
-            return false;
-        }
+        'draft.prompt': 'لديك إجابات غير محفوظة من {date}.',
+        'draft.restore': 'استعادة',
+        'draft.discard': 'تجاهل',
         
-        if (value !== passwordValue) {
-            this.showError('confirmPassword', 'Passwords do not match');
-            return false;
-        }
+        'faq.searchLabel': 'البحث في الأسئلة الشائعة',
+        'faq.searchPlaceholder': 'ابحث في الأسئلة…',
+        'faq.expandAll': 'توسيع الكل',
+        'faq.collapseAll': 'طي الكل',
+        'faq.noResults': 'لا توجد أسئلة تطابق بحثك.',
+        'faq.loading': 'جارٍ تحميل الأسئلة…',
+        'faq.loadError': 'تعذر تحميل الأسئلة.',
+        'faq.retry': 'إعادة المحاولة',
         
-        this.showSuccess('confirmPassword');
-        return true;
+        'console.loaded': '🚀 تم تحميل الصفحة التفاعلية بنجاح!',
+        'console.features': 'الميزات المتاحة:',
+        'console.theme': '- 🌙 التبديل بين الوضع الفاتح والداكن',
+        'console.counter': '- 🎮 لعبة العداد التفاعلية',
+        'console.faq': '- ❓ قسم الأسئلة الشائعة القابل للطي',
+        'console.tabs': '- 📑 واجهة التبويبات',
+        'console.form': '- 📋 التحقق من النموذج',
+        'console.shortcuts': '- ⌨️ اختصارات لوحة المفاتيح (اضغط ? لعرض القائمة)'
     }
-    
-    validateAge() {
-        const value = parseInt(this.fields.age.value);
-        const errorElement = this.errorElements.age;
-        
-        if (!this.fields.age.value) {
-            this.showError('age', 'Age is required');
-            return false;
-        }
-        
-        if (isNaN(value)) {
-            this.showError('age', 'Please enter a valid age');
-            return false;
-        }
-        
-        if (value < 13) {
-            this.showError('age', 'You must be at least 13 years old');
-            return false;
-        }
-        
-        if (value > 120) {
-            this.showError('age', 'Please enter a valid age');
-            return false;
-        }
+};
+
+/**
+ * Locales written right to left
+ */
+const RTL_LOCALES = ['ar', 'he', 'fa', 'ur'];
+
+/**
+ * Message catalog lookup, interpolation, pluralization and number formatting
+ * The chosen locale is stored in localStorage and reflected in the lang and
+ * dir attributes of <html>
+ */
+class I18n {
+    /**
+     * @param {Object} translations - Catalogs keyed by locale
+     * @param {string} [defaultLocale] - Locale used when a key is missing
+     */
+    constructor(translations, defaultLocale = 'en') {
+        this.translations = translations;
+        this.defaultLocale = defaultLocale;
+        this.listeners = [];
+        this.locale = this.getInitialLocale();
         
-        this.showSuccess('age');
-        return true;
+        this.applyToDocument();
     }
     
-    validatePhone() {
-        const value = this.fields.phone.value.trim();
-        
-        // Phone is optional, so if empty, it's valid
-        if (!value) {
-            this.clearError('phone');
-            return true;
-        }
-        
-        // Remove all non-digit characters for validation
-        const digitsOnly = value.replace(/\D/g, '');
+    getInitialLocale() {
+        const saved = localStorage.getItem('locale');
+        const browser = (navigator.language || '').split('-')[0];
         
-        if (digitsOnly.length < 10) {
-            this.showError('phone', 'Phone number must have at least 10 digits');
-            return false;
-        }
-        
-        if (digitsOnly.length > 15) {
-            this.showError('phone', 'Phone number is too long');
-            return false;
-        }
-        
-        this.showSuccess('phone');
-        return true;
+        return [saved, browser].find(locale => locale && this.translations[locale]) || this.defaultLocale;
     }
     
-    validateTerms() {
-        const isChecked = this.fields.terms.checked;
+    /**
+     * Translate a message key
+     * Unknown keys are returned as-is, so literal messages pass through
+     * @param {string} key - Message key
+     * @param {Object} [params] - Placeholder values; "count" selects plural forms
+     * @returns {string} - Translated message
+     */
+    t(key, params = {}) {
+        const catalog = this.translations[this.locale] || {};
+        const fallback = this.translations[this.defaultLocale] || {};
+        let message = key in catalog ? catalog[key] : key in fallback ? fallback[key] : key;
         
-        if (!isChecked) {
-            this.showError('terms', 'You must agree to the Terms and Conditions');
-            return false;
+        if (typeof message === 'object') {
+            const category = new Intl.PluralRules(this.locale).select(Number(params.count));
+            message = message[category] || message.other;
         }
         
-        this.clearError('terms');
-        return true;
+        return String(message).replace(/\{(\w+)\}/g, (placeholder, name) => {
+            const value = params[name];
+            if (value === undefined) {
+                return placeholder;
+            }
+            return typeof value === 'number' ? this.formatNumber(value) : String(value);
+        });
     }
     
-    showError(fieldName, message) {
-        const field = this.fields[fieldName];
-        const errorElement = this.errorElements[fieldName];
-        
-        if (field) {
-            field.classList.add('error');
-            field.classList.remove('success');
-        }
-        
-        if (errorElement) {
-            errorElement.textContent = message;
-        }
+    formatNumber(value) {
+        return new Intl.NumberFormat(this.locale).format(value);
     }
     
-    showSuccess(fieldName) {
-        const field = this.fields[fieldName];
-        const errorElement = this.errorElements[fieldName];
-        
-        if (field) {
-            field.classList.add('success');
-            field.classList.remove('error');
+    /**
+     * Switch language and notify listeners so they can re-render
+     * @param {string} locale - Locale code with a catalog in TRANSLATIONS
+     */
+    setLocale(locale) {
+        if (!this.translations[locale] || locale === this.locale) {
+            return;
         }
         
-        if (errorElement) {
-            errorElement.textContent = '';
-        }
+        this.locale = locale;
+        localStorage.setItem('locale', locale);
+        this.applyToDocument();
+        this.listeners.forEach(listener => listener(locale));
     }
     
-    clearError(fieldName) {
-        const field = this.fields[fieldName];
-        const errorElement = this.errorElements[fieldName];
-        
-        if (field) {
-            field.classList.remove('error', 'success');
-        }
-        
+    applyToDocument() {
+        document.documentElement.setAttribute('lang', this.locale);
+        document.documentElement.setAttribute('dir', RTL_LOCALES.includes(this.locale) ? 'rtl' : 'ltr');
+    }
+    
+    /**
+     * Subscribe to locale changes
+     * @param {Function} listener - Called with the new locale
+     * @returns {Function} - Unsubscribe function
+     */
+    onChange(listener) {
+        this.listeners.push(listener);
+        return () => {
+            this.listeners = this.listeners.filter(item => item !== listener);
+        };
+    }
+}
+
+// The page's one locale; switching it re-renders every translated string
+const i18n = new I18n(TRANSLATIONS);
+
+/**
+ * Language picker bound to a <select> of locale codes
+ */
+class LanguageSwitcher extends Component {
+    /**
+     * @param {string|Element} [root] - The <select>; defaults to #languageSelect
+     * @param {Object} [options]
+     */
+    constructor(root, options = {}) {
+        super(root || '#languageSelect', options);
+        this.select = this.root;
+        this.init();
+    }
+    
+    init() {
+        if (!this.select) {
+            return;
+        }
+        
+        this.select.value = i18n.locale;
+        this.applyLabel();
+        
+        this.listen(this.select, 'change', () => {
+            const previous = i18n.locale;
+            i18n.setLocale(this.select.value);
+            
+            // setLocale() ignores the current and unknown locales
+            if (i18n.locale !== previous) {
+                this.publish('locale:changed', { locale: i18n.locale, previous });
+            }
+        });
+        this.own(i18n.onChange(() => {
+            this.select.value = i18n.locale;
+            this.applyLabel();
+        }));
+    }
+    
+    applyLabel() {
+        this.select.setAttribute('aria-label', i18n.t('language.label'));
+    }
+}
+
+// ============================================================================
+// LIVE ANNOUNCEMENTS
+// ============================================================================
+
+/**
+ * Screen reader announcements through a visually hidden live region
+ * The region is created on first use. Text is cleared before each message
+ * so repeating the same message is announced again.
+ */
+class LiveAnnouncer {
+    /**
+     * @param {Object} [options]
+     * @param {string} [options.politeness] - "polite" or "assertive"
+     * @param {number} [options.delay] - Milliseconds between clearing and writing the text
+     */
+    constructor(options = {}) {
+        this.politeness = options.politeness || 'polite';
+        this.delay = options.delay !== undefined ? options.delay : 100;
+        this.region = null;
+        this.timer = null;
+    }
+    
+    ensureRegion() {
+        if (!this.region || !this.region.isConnected) {
+            this.region = document.createElement('div');
+            this.region.className = 'visually-hidden live-announcer';
+            this.region.setAttribute('aria-live', this.politeness);
+            this.region.setAttribute('aria-atomic', 'true');
+            document.body.appendChild(this.region);
+        }
+        return this.region;
+    }
+    
+    /**
+     * Announce a message; a newer message replaces one not yet read out
+     * @param {string} message - Translated text to announce
+     */
+    announce(message) {
+        if (!message) {
+            return;
+        }
+        
+        const region = this.ensureRegion();
+        clearTimeout(this.timer);
+        region.textContent = '';
+        this.timer = setTimeout(() => {
+            region.textContent = message;
+        }, this.delay);
+    }
+    
+    clear() {
+        clearTimeout(this.timer);
+        if (this.region) {
+            this.region.textContent = '';
+        }
+    }
+}
+
+// One polite live region for screen reader messages that have no visible element of their own
+const announcer = new LiveAnnouncer();
+
+// ============================================================================
+// NOTIFICATIONS
+// ============================================================================
+
+/**
+ * Milliseconds a notification stays on screen by severity; 0 keeps it until dismissed
+ */
+const NOTIFICATION_DURATIONS = {
+    info: 4000,
+    success: 4000,
+    warning: 6000,
+    error: 0
+};
+
+/**
+ * Stacked toast notifications with severities, actions and dismiss buttons
+ * Up to maxVisible are shown at once, newest last; the rest wait in a queue.
+ * A notification's timer pauses while it is hovered or has focus. Showing a
+ * notification with the id of one already shown or queued replaces it and
+ * cancels its timer, so a component can keep a single message up to date.
+ * Messages are translation keys and are re-rendered when the language changes.
+ * Each notification is its own live region (an alert for errors and warnings,
+ * a status otherwise); the container is not, so nothing is read out twice.
+ */
+class NotificationCenter {
+    /**
+     * @param {Object} [options]
+     * @param {number} [options.maxVisible] - Notifications shown at once
+     * @param {Object} [options.durations] - Overrides for NOTIFICATION_DURATIONS
+     */
+    constructor(options = {}) {
+        this.maxVisible = options.maxVisible || 3;
+        this.durations = { ...NOTIFICATION_DURATIONS, ...options.durations };
+        this.container = null;
+        this.visible = [];
+        this.queue = [];
+        this.nextId = 1;
+        
+        i18n.onChange(() => this.visible.forEach(notification => this.renderNotification(notification)));
+    }
+    
+    ensureContainer() {
+        if (!this.container || !this.container.isConnected) {
+            this.container = document.createElement('div');
+            this.container.className = 'notifications';
+            document.body.appendChild(this.container);
+        }
+        return this.container;
+    }
+    
+    /**
+     * Show a notification
+     * @param {Object|string} options - Options, or just a message key
+     * @param {string} options.message - Message key or literal message
+     * @param {Object} [options.params] - Message parameters
+     * @param {string} [options.title] - Title key or literal title
+     * @param {string} [options.type] - "info", "success", "warning" or "error"
+     * @param {number} [options.duration] - Milliseconds before it closes, 0 to keep it; defaults by type
+     * @param {string} [options.id] - Replaces a notification with the same id
+     * @param {Array<{label: string, handler: Function}>} [options.actions] - Buttons that run handler and close it
+     * @param {Function} [options.onClose] - Called when the user closes it with × or Escape rather than an action
+     * @param {boolean} [options.focus] - Move focus to it, e.g. to confirm a form was sent
+     * @param {boolean} [options.silent] - Leave it out of the live regions, for messages the caller announces itself
+     * @returns {string} - Id for dismiss()
+     */
+    show(options) {
+        const config = typeof options === 'string' ? { message: options } : options;
+        const type = config.type in this.durations ? config.type : 'info';
+        const notification = {
+            ...config,
+            id: config.id || `notification-${this.nextId++}`,
+            type,
+            params: config.params || {},
+            // Listed so that replacing a notification drops the old one's settings
+            title: config.title || '',
+            actions: config.actions || [],
+            focus: Boolean(config.focus),
+            silent: Boolean(config.silent),
+            onClose: config.onClose || null,
+            duration: config.duration !== undefined ? config.duration : this.durations[type]
+        };
+        
+        const current = this.visible.find(item => item.id === notification.id);
+        if (current) {
+            this.stopTimer(current);
+            Object.assign(current, notification, { remaining: notification.duration });
+            current.element.className = `notification notification-${current.type}`;
+            this.renderNotification(current);
+            this.startTimer(current);
+            this.focusNotification(current);
+            return current.id;
+        }
+        
+        const queued = this.queue.findIndex(item => item.id === notification.id);
+        if (queued !== -1) {
+            this.queue[queued] = notification;
+        } else if (this.visible.length < this.maxVisible) {
+            this.display(notification);
+        } else {
+            this.queue.push(notification);
+        }
+        
+        return notification.id;
+    }
+    
+    /**
+     * Close a notification, or drop it from the queue
+     * @param {string} id - Id returned by show()
+     */
+    dismiss(id) {
+        this.queue = this.queue.filter(item => item.id !== id);
+        
+        const notification = this.visible.find(item => item.id === id);
+        if (!notification) {
+            return;
+        }
+        
+        this.stopTimer(notification);
+        this.visible = this.visible.filter(item => item !== notification);
+        
+        // Send focus back to where it was rather than losing it with the element
+        const hadFocus = notification.element.contains(document.activeElement);
+        notification.element.remove();
+        if (hadFocus && notification.returnFocus && notification.returnFocus.isConnected) {
+            notification.returnFocus.focus();
+        }
+        
+        if (this.queue.length > 0) {
+            this.display(this.queue.shift());
+        }
+    }
+    
+    /**
+     * Whether a notification is shown or waiting in the queue
+     * @param {string} id - Id returned by show()
+     * @returns {boolean}
+     */
+    has(id) {
+        return [...this.visible, ...this.queue].some(item => item.id === id);
+    }
+    
+    /**
+     * Close a notification on the user's behalf and let its owner know
+     * @param {Object} notification - Visible notification
+     */
+    close(notification) {
+        this.dismiss(notification.id);
+        if (notification.onClose) {
+            notification.onClose();
+        }
+    }
+    
+    /**
+     * Close every notification and empty the queue
+     */
+    clear() {
+        this.queue = [];
+        this.visible.slice().forEach(notification => this.dismiss(notification.id));
+    }
+    
+    display(notification) {
+        const element = document.createElement('div');
+        element.className = `notification notification-${notification.type}`;
+        element.tabIndex = -1;
+        element.innerHTML = `
+            <div class="notification-body">
+                <strong class="notification-title"></strong>
+                <p class="notification-message"></p>
+            </div>
+            <div class="notification-actions"></div>
+            <button type="button" class="notification-close"><span aria-hidden="true">×</span></button>
+        `;
+        
+        notification.element = element;
+        notification.remaining = notification.duration;
+        notification.hovered = false;
+        notification.focused = false;
+        
+        addEvent(element.querySelector('.notification-close'), 'click', () => this.close(notification));
+        addEvent(element, 'mouseenter', () => this.setPaused(notification, 'hovered', true));
+        addEvent(element, 'mouseleave', () => this.setPaused(notification, 'hovered', false));
+        addEvent(element, 'focusin', () => this.setPaused(notification, 'focused', true));
+        addEvent(element, 'focusout', (e) => {
+            if (!element.contains(e.relatedTarget)) {
+                this.setPaused(notification, 'focused', false);
+            }
+        });
+        addEvent(element, 'keydown', (e) => {
+            if (e.key === 'Escape') {
+                this.close(notification);
+            }
+        });
+        
+        this.visible.push(notification);
+        this.renderNotification(notification);
+        this.ensureContainer().appendChild(element);
+        this.startTimer(notification);
+        this.focusNotification(notification);
+    }
+    
+    renderNotification(notification) {
+        const { element } = notification;
+        // Errors and warnings interrupt; everything else waits for the polite region
+        if (notification.silent) {
+            element.removeAttribute('role');
+        } else {
+            element.setAttribute('role', notification.type === 'error' || notification.type === 'warning' ? 'alert' : 'status');
+        }
+        
+        const title = element.querySelector('.notification-title');
+        title.textContent = notification.title ? i18n.t(notification.title, notification.params) : '';
+        title.hidden = !notification.title;
+        element.querySelector('.notification-message').textContent = i18n.t(notification.message, notification.params);
+        element.querySelector('.notification-close').setAttribute('aria-label', i18n.t('notifications.dismiss'));
+        
+        const actions = element.querySelector('.notification-actions');
+        actions.innerHTML = '';
+        actions.hidden = notification.actions.length === 0;
+        notification.actions.forEach(action => {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = 'btn btn-secondary notification-action';
+            button.textContent = i18n.t(action.label);
+            addEvent(button, 'click', () => {
+                this.dismiss(notification.id);
+                action.handler();
+            });
+            actions.appendChild(button);
+        });
+    }
+    
+    focusNotification(notification) {
+        if (!notification.focus) {
+            return;
+        }
+        
+        if (!notification.element.contains(document.activeElement)) {
+            notification.returnFocus = document.activeElement;
+        }
+        notification.element.focus();
+    }
+    
+    startTimer(notification) {
+        if (notification.remaining > 0 && !notification.hovered && !notification.focused) {
+            notification.startedAt = Date.now();
+            notification.timer = setTimeout(() => this.dismiss(notification.id), notification.remaining);
+        }
+    }
+    
+    stopTimer(notification) {
+        if (notification.timer) {
+            clearTimeout(notification.timer);
+            notification.timer = null;
+            notification.remaining -= Date.now() - notification.startedAt;
+        }
+    }
+    
+    /**
+     * Pause the timer while the notification is hovered or focused
+     * @param {Object} notification - Visible notification
+     * @param {string} reason - "hovered" or "focused"
+     * @param {boolean} active - Whether that reason now applies
+     */
+    setPaused(notification, reason, active) {
+        notification[reason] = active;
+        if (active) {
+            this.stopTimer(notification);
+        } else if (!notification.timer) {
+            this.startTimer(notification);
+        }
+    }
+}
+
+// Toast stack shared by the page, so messages from different components queue together
+const notifications = new NotificationCenter();
+
+// ============================================================================
+// KEYBOARD SHORTCUTS
+// ============================================================================
+
+const MODIFIER_KEYS = ['Control', 'Shift', 'Alt', 'Meta'];
+
+/**
+ * Turn a keydown event into a combo string such as "Ctrl+Shift+Z" or "+"
+ * Cmd counts as Ctrl. Shift is only part of the combo for letters and named
+ * keys, since symbols like "+" or "?" already depend on it.
+ * @param {KeyboardEvent} e - Keydown event
+ * @returns {string} - Normalized combo
+ */
+function comboFromEvent(e) {
+    const key = e.key.length === 1 ? e.key.toUpperCase() : e.key;
+    const isSymbol = e.key.length === 1 && key === e.key.toLowerCase();
+    const parts = [];
+    
+    if (e.ctrlKey || e.metaKey) {
+        parts.push('Ctrl');
+    }
+    if (e.altKey) {
+        parts.push('Alt');
+    }
+    if (e.shiftKey && !isSymbol) {
+        parts.push('Shift');
+    }
+    parts.push(key === ' ' ? 'Space' : key);
+    
+    return parts.join('+');
+}
+
+/**
+ * Central registry for keyboard shortcuts
+ * Components register shortcuts with an id, default keys, a description key
+ * and an optional scope element. Scoped shortcuts only fire while focus is
+ * inside their scope and win over global ones with the same keys. Keys typed
+ * into text fields are ignored unless a shortcut opts in with allowInEditable.
+ * Users can rebind keys from the "?" help overlay; their choices are saved
+ * in localStorage.
+ */
+class ShortcutManager {
+    /**
+     * @param {Object} [options]
+     * @param {string} [options.storageKey] - localStorage key for custom bindings
+     */
+    constructor(options = {}) {
+        this.storageKey = options.storageKey || 'shortcutBindings';
+        this.shortcuts = new Map();
+        this.bindings = {};
+        this.overlay = null;
+        this.recording = null;
+        this.returnFocus = null;
+        this.init();
+    }
+    
+    init() {
+        try {
+            this.bindings = JSON.parse(localStorage.getItem(this.storageKey)) || {};
+        } catch (error) {
+            this.bindings = {};
+        }
+        
+        addEvent(document, 'keydown', (e) => this.handleKeydown(e));
+        i18n.onChange(() => this.renderOverlay());
+        
+        this.register({
+            id: 'shortcuts.help',
+            keys: ['?'],
+            description: 'shortcuts.help',
+            group: 'shortcuts.group.general',
+            handler: () => this.openHelp()
+        });
+    }
+    
+    /**
+     * Register a shortcut, replacing any earlier one with the same id
+     * @param {Object} shortcut
+     * @param {string} shortcut.id - Unique id, also used to save rebinding
+     * @param {string[]} shortcut.keys - Default combos, e.g. ["Ctrl+Z"]
+     * @param {string} shortcut.description - Translation key shown in the help overlay
+     * @param {string} [shortcut.group] - Translation key of the help overlay heading
+     * @param {Element} [shortcut.scope] - Only fire while focus is inside this element
+     * @param {boolean} [shortcut.allowInEditable] - Also fire while typing in a text field
+     * @param {Function} shortcut.handler - Called with the keydown event
+     * @returns {Function} - Unregisters the shortcut
+     */
+    register(shortcut) {
+        const entry = {
+            group: 'shortcuts.group.general',
+            scope: null,
+            allowInEditable: false,
+            ...shortcut,
+            defaultKeys: shortcut.keys
+        };
+        
+        // Let clicks inside a scope move focus into it
+        if (entry.scope && !entry.scope.hasAttribute('tabindex')) {
+            entry.scope.setAttribute('tabindex', '-1');
+        }
+        
+        this.getKeys(entry).forEach(combo => {
+            const conflict = this.findConflict(combo, entry);
+            if (conflict) {
+                console.warn(`ShortcutManager: "${combo}" is used by both "${conflict.id}" and "${entry.id}"; the latter wins`);
+            }
+        });
+        
+        this.shortcuts.set(entry.id, entry);
+        this.renderOverlay();
+        
+        return () => {
+            if (this.shortcuts.get(entry.id) === entry) {
+                this.shortcuts.delete(entry.id);
+                this.renderOverlay();
+            }
+        };
+    }
+    
+    /**
+     * Current combos of a shortcut, honouring the user's rebinding
+     * @param {Object} shortcut - Registered shortcut
+     * @returns {string[]}
+     */
+    getKeys(shortcut) {
+        return this.bindings[shortcut.id] || shortcut.defaultKeys;
+    }
+    
+    /**
+     * Find another shortcut in the same scope already bound to a combo
+     * @param {string} combo - Normalized combo
+     * @param {Object} shortcut - Shortcut that wants the combo
+     * @returns {Object|null}
+     */
+    findConflict(combo, shortcut) {
+        for (const other of this.shortcuts.values()) {
+            if (other.id !== shortcut.id && other.scope === shortcut.scope && this.getKeys(other).includes(combo)) {
+                return other;
+            }
+        }
+        return null;
+    }
+    
+    /**
+     * Bind a shortcut to a new combo and save it
+     * @param {string} id - Shortcut id
+     * @param {string} combo - Normalized combo
+     * @returns {Object|null} - The conflicting shortcut if the combo is taken, otherwise null
+     */
+    rebind(id, combo) {
+        const shortcut = this.shortcuts.get(id);
+        if (!shortcut) {
+            return null;
+        }
+        
+        const conflict = this.findConflict(combo, shortcut);
+        if (conflict) {
+            return conflict;
+        }
+        
+        this.bindings[id] = [combo];
+        this.saveBindings();
+        return null;
+    }
+    
+    resetBindings() {
+        this.bindings = {};
+        this.saveBindings();
+        this.renderOverlay();
+    }
+    
+    saveBindings() {
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify(this.bindings));
+        } catch (error) {
+            console.warn('ShortcutManager: could not save bindings', error);
+        }
+    }
+    
+    /**
+     * Pick the shortcut for a keydown: scoped shortcuts containing the target
+     * beat global ones, the innermost scope wins, then the latest registration
+     * @param {KeyboardEvent} e - Keydown event
+     * @returns {Object|null}
+     */
+    match(e) {
+        const combo = comboFromEvent(e);
+        const editable = isEditableElement(e.target);
+        let best = null;
+        
+        this.shortcuts.forEach(shortcut => {
+            if (!this.getKeys(shortcut).includes(combo)) {
+                return;
+            }
+            if (editable && !shortcut.allowInEditable) {
+                return;
+            }
+            if (shortcut.scope && !shortcut.scope.contains(e.target)) {
+                return;
+            }
+            if (!best || this.isMoreSpecific(shortcut, best)) {
+                best = shortcut;
+            }
+        });
+        
+        return best;
+    }
+    
+    /**
+     * Whether shortcut a should win over b; ties go to a, the later registration
+     * @param {Object} a - Candidate shortcut
+     * @param {Object} b - Current best shortcut
+     * @returns {boolean}
+     */
+    isMoreSpecific(a, b) {
+        if (!a.scope) {
+            return !b.scope;
+        }
+        return !b.scope || b.scope.contains(a.scope);
+    }
+    
+    handleKeydown(e) {
+        if (e.defaultPrevented || e.isComposing) {
+            return;
+        }
+        
+        if (this.isHelpOpen()) {
+            this.handleOverlayKeydown(e);
+            return;
+        }
+        
+        const shortcut = this.match(e);
+        if (shortcut) {
+            e.preventDefault();
+            shortcut.handler(e);
+        }
+    }
+    
+    isHelpOpen() {
+        return Boolean(this.overlay && !this.overlay.hidden);
+    }
+    
+    openHelp() {
+        if (!this.overlay) {
+            this.createOverlay();
+        }
+        
+        this.returnFocus = document.activeElement;
+        this.overlay.hidden = false;
+        this.renderOverlay();
+        this.overlay.querySelector('.shortcut-dialog').focus();
+    }
+    
+    closeHelp() {
+        if (!this.isHelpOpen()) {
+            return;
+        }
+        
+        this.recording = null;
+        this.overlay.hidden = true;
+        if (this.returnFocus && this.returnFocus.focus) {
+            this.returnFocus.focus();
+        }
+    }
+    
+    createOverlay() {
+        this.overlay = document.createElement('div');
+        this.overlay.className = 'shortcut-overlay';
+        this.overlay.hidden = true;
+        this.overlay.innerHTML = `
+            <div class="shortcut-dialog" role="dialog" aria-modal="true" aria-labelledby="shortcutDialogTitle" tabindex="-1">
+                <h2 id="shortcutDialogTitle"></h2>
+                <div class="shortcut-groups"></div>
+                <p class="shortcut-status" role="status"></p>
+                <div class="shortcut-actions">
+                    <button type="button" class="btn btn-secondary shortcut-reset"></button>
+                    <button type="button" class="btn btn-primary shortcut-close"></button>
+                </div>
+            </div>
+        `;
+        document.body.appendChild(this.overlay);
+        
+        addEvent(this.overlay.querySelector('.shortcut-reset'), 'click', () => this.resetBindings());
+        addEvent(this.overlay.querySelector('.shortcut-close'), 'click', () => this.closeHelp());
+        addEvent(this.overlay, 'click', (e) => {
+            if (e.target === this.overlay) {
+                this.closeHelp();
+            }
+        });
+    }
+    
+    /**
+     * List every registered shortcut, grouped, with a button to rebind each
+     * @param {string} [status] - Translated status message
+     */
+    renderOverlay(status = '') {
+        if (!this.isHelpOpen()) {
+            return;
+        }
+        
+        this.overlay.querySelector('h2').textContent = i18n.t('shortcuts.title');
+        this.overlay.querySelector('.shortcut-reset').textContent = i18n.t('shortcuts.reset');
+        this.overlay.querySelector('.shortcut-close').textContent = i18n.t('shortcuts.close');
+        this.overlay.querySelector('.shortcut-status').textContent = status;
+        
+        const groups = new Map();
+        this.shortcuts.forEach(shortcut => {
+            if (!groups.has(shortcut.group)) {
+                groups.set(shortcut.group, []);
+            }
+            groups.get(shortcut.group).push(shortcut);
+        });
+        
+        const container = this.overlay.querySelector('.shortcut-groups');
+        container.innerHTML = '';
+        
+        groups.forEach((shortcuts, group) => {
+            const heading = document.createElement('h3');
+            heading.textContent = i18n.t(group);
+            
+            const list = document.createElement('dl');
+            list.className = 'shortcut-list';
+            
+            shortcuts.forEach(shortcut => {
+                const term = document.createElement('dt');
+                this.getKeys(shortcut).forEach((combo, index) => {
+                    if (index > 0) {
+                        term.append(` ${i18n.t('shortcuts.or')} `);
+                    }
+                    const kbd = document.createElement('kbd');
+                    kbd.textContent = combo;
+                    term.appendChild(kbd);
+                });
+                
+                const description = document.createElement('dd');
+                description.textContent = i18n.t(shortcut.description);
+                
+                const rebind = document.createElement('button');
+                rebind.type = 'button';
+                rebind.className = 'shortcut-rebind';
+                rebind.dataset.shortcut = shortcut.id;
+                rebind.textContent = i18n.t(this.recording === shortcut.id ? 'shortcuts.recording' : 'shortcuts.change');
+                rebind.setAttribute('aria-label', i18n.t('shortcuts.changeLabel', { action: i18n.t(shortcut.description) }));
+                addEvent(rebind, 'click', () => {
+                    this.recording = shortcut.id;
+                    this.renderOverlay(i18n.t('shortcuts.recordingHint'));
+                    this.overlay.querySelector(`[data-shortcut="${shortcut.id}"]`).focus();
+                });
+                description.appendChild(rebind);
+                
+                list.append(term, description);
+            });
+            
+            container.append(heading, list);
+        });
+    }
+    
+    /**
+     * Keys while the overlay is open: record a new binding, trap Tab, close on Escape
+     * @param {KeyboardEvent} e - Keydown event
+     */
+    handleOverlayKeydown(e) {
+        if (this.recording) {
+            if (MODIFIER_KEYS.includes(e.key)) {
+                return;
+            }
+            e.preventDefault();
+            
+            const id = this.recording;
+            this.recording = null;
+            
+            // Escape and Tab cancel so the dialog stays usable from the keyboard
+            if (e.key === 'Escape' || e.key === 'Tab') {
+                this.renderOverlay();
+                this.overlay.querySelector(`[data-shortcut="${id}"]`).focus();
+                return;
+            }
+            
+            const combo = comboFromEvent(e);
+            const conflict = this.rebind(id, combo);
+            this.renderOverlay(conflict
+                ? i18n.t('shortcuts.conflict', { keys: combo, action: i18n.t(conflict.description) })
+                : i18n.t('shortcuts.saved', { keys: combo }));
+            this.overlay.querySelector(`[data-shortcut="${id}"]`).focus();
+            return;
+        }
+        
+        if (e.key === 'Escape') {
+            e.preventDefault();
+            this.closeHelp();
+            return;
+        }
+        
+        if (e.key === 'Tab') {
+            const focusable = Array.from(this.overlay.querySelectorAll('button'));
+            const index = focusable.indexOf(document.activeElement);
+            if (e.shiftKey && index <= 0) {
+                e.preventDefault();
+                focusable[focusable.length - 1].focus();
+            } else if (!e.shiftKey && index === focusable.length - 1) {
+                e.preventDefault();
+                focusable[0].focus();
+            }
+        }
+    }
+}
+
+// Shared instance every component registers its shortcuts with
+const shortcuts = new ShortcutManager();
+
+/**
+ * Button that opens the shortcut help overlay
+ */
+class ShortcutHelpButton extends Component {
+    /**
+     * @param {string|Element} [root] - The button; defaults to #shortcutHelpBtn
+     * @param {Object} [options]
+     */
+    constructor(root, options = {}) {
+        super(root || '#shortcutHelpBtn', options);
+        this.init();
+    }
+    
+    init() {
+        if (!this.root) {
+            return;
+        }
+        
+        this.applyLabel();
+        this.own(i18n.onChange(() => this.applyLabel()));
+        this.listen(this.root, 'click', () => shortcuts.openHelp());
+    }
+    
+    applyLabel() {
+        this.root.setAttribute('aria-label', i18n.t('shortcuts.open'));
+    }
+}
+
+// ============================================================================
+// THEME TOGGLE FUNCTIONALITY
+// ============================================================================
+
+/**
+ * Themes that can be selected besides "system"
+ * Each has a base ("light" or "dark") used for data-theme, so the CSS
+ * variables in style.css apply, plus optional custom property overrides
+ */
+const THEMES = {
+    light: { base: 'light', label: 'theme.light', icon: '☀️' },
+    dark: { base: 'dark', label: 'theme.dark', icon: '🌙' }
+};
+
+/**
+ * Theme toggle functionality for light, dark and system modes plus any
+ * registered named themes. The button cycles through the available modes.
+ * Stores the mode in localStorage, follows OS changes in "system" mode and
+ * picks up changes made in other tabs. The inline script in <head> applies
+ * the saved theme before first paint using the "themeResolved" snapshot.
+ */
+class ThemeToggle extends Component {
+    /**
+     * @param {string|Element} [root] - The toggle button; defaults to #themeToggle
+     * @param {Object} [options]
+     */
+    constructor(root, options = {}) {
+        super(root || '#themeToggle', options);
+        this.themeToggle = this.root;
+        this.themeIcon = this.find('.theme-icon');
+        this.colorScheme = window.matchMedia('(prefers-color-scheme: dark)');
+        this.currentTheme = this.getSavedMode();
+        this.appliedProperties = [];
+        
+        this.init();
+    }
+    
+    /**
+     * Register a named theme
+     * @param {string} name - Theme name stored as the mode
+     * @param {Object} theme
+     * @param {string} theme.base - "light" or "dark"
+     * @param {Object} [theme.properties] - CSS custom properties, e.g. { '--primary-color': '#ff0' }
+     * @param {string} [theme.label] - Message key or label for the theme
+     * @param {string} [theme.icon] - Icon shown on the toggle button
+     */
+    static registerTheme(name, theme) {
+        THEMES[name] = { icon: '🎨', label: name, ...theme };
+    }
+    
+    getSavedMode() {
+        const saved = localStorage.getItem('theme');
+        return saved === 'system' || THEMES[saved] ? saved : 'system';
+    }
+    
+    getModes() {
+        return ['light', 'dark', 'system', ...Object.keys(THEMES).filter(name => name !== 'light' && name !== 'dark')];
+    }
+    
+    init() {
+        // Apply saved theme on page load
+        this.applyTheme(this.currentTheme);
+        
+        // Add click event listener
+        this.listen(this.themeToggle, 'click', () => this.toggleTheme());
+        
+        // Follow the OS setting live while in system mode
+        this.listen(this.colorScheme, 'change', () => {
+            if (this.currentTheme === 'system') {
+                this.applyTheme(this.currentTheme);
+                this.publishChange('system');
+            }
+        });
+        
+        // Pick up theme changes made in other tabs
+        this.listen(window, 'storage', (e) => {
+            if (e.key === 'theme') {
+                this.currentTheme = this.getSavedMode();
+                this.applyTheme(this.currentTheme);
+                this.publishChange('storage');
+            }
+        });
+        
+        // Re-apply to translate the aria-label when the language changes
+        this.own(i18n.onChange(() => this.applyTheme(this.currentTheme)));
+    }
+    
+    toggleTheme() {
+        const modes = this.getModes();
+        this.setTheme(modes[(modes.indexOf(this.currentTheme) + 1) % modes.length]);
+    }
+    
+    /**
+     * Switch to a mode and remember it
+     * @param {string} mode - "system" or a registered theme name
+     */
+    setTheme(mode) {
+        if (mode !== 'system' && !THEMES[mode]) {
+            return;
+        }
+        
+        this.currentTheme = mode;
+        this.applyTheme(mode);
+        localStorage.setItem('theme', mode);
+        this.publishChange('user');
+    }
+    
+    /**
+     * @param {string} source - "user", "system" (OS change) or "storage" (another tab)
+     */
+    publishChange(source) {
+        this.publish('theme:changed', {
+            mode: this.currentTheme,
+            theme: this.resolveTheme(this.currentTheme),
+            source
+        });
+    }
+    
+    /**
+     * Resolve "system" to the OS preference
+     * @param {string} mode - Theme mode
+     * @returns {string} - Registered theme name
+     */
+    resolveTheme(mode) {
+        if (mode === 'system') {
+            return this.colorScheme.matches ? 'dark' : 'light';
+        }
+        return THEMES[mode] ? mode : 'light';
+    }
+    
+    applyTheme(mode) {
+        const name = this.resolveTheme(mode);
+        const theme = THEMES[name];
+        const properties = theme.properties || {};
+        const root = document.documentElement;
+        
+        root.setAttribute('data-theme', theme.base);
+        
+        // Swap the custom properties of the previous theme for the new ones
+        this.appliedProperties.forEach(property => root.style.removeProperty(property));
+        Object.keys(properties).forEach(property => root.style.setProperty(property, properties[property]));
+        this.appliedProperties = Object.keys(properties);
+        
+        // Snapshot for the early bootstrap script in index.html
+        localStorage.setItem('themeResolved', JSON.stringify({ mode, base: theme.base, properties }));
+        
+        // Update theme icon
+        if (this.themeIcon) {
+            this.themeIcon.textContent = mode === 'system' ? '🖥️' : theme.icon;
+        }
+        
+        // Update button aria-label for accessibility
+        if (this.themeToggle) {
+            const modes = this.getModes();
+            const next = modes[(modes.indexOf(mode) + 1) % modes.length];
+            this.themeToggle.setAttribute('aria-label', i18n.t('theme.switchTo', {
+                theme: i18n.t(next === 'system' ? 'theme.system' : THEMES[next].label)
+            }));
+        }
+    }
+}
+
+// High-contrast palette for users who need stronger separation
+ThemeToggle.registerTheme('high-contrast', {
+    base: 'dark',
+    label: 'theme.highContrast',
+    icon: '◐',
+    properties: {
+        '--primary-color': '#ffff00',
+        '--bg-color': '#000000',
+        '--text-color': '#ffffff',
+        '--border-color': '#ffffff',
+        '--light-color': '#000000',
+        '--hover-bg': '#1a1a1a',
+        '--secondary-color': '#d0d0d0'
+    }
+});
+
+// ============================================================================
+// INTERACTIVE COUNTER GAME
+// ============================================================================
+
+/**
+ * Maximum number of actions kept for undo and shown in the history panel
+ */
+const COUNTER_HISTORY_LIMIT = 50;
+
+/**
+ * Default milestone rules, checked in order; the first match wins
+ * A rule matches on an exact value, every N (non-zero) steps and/or a
+ * min..max range. Messages receive {count} and are shown as notifications
+ * of the given type (default "success"). Non-sticky messages close after
+ * duration milliseconds. celebration is "pulse", "shake" or "confetti".
+ */
+const DEFAULT_COUNTER_MILESTONES = [
+    { value: 10, message: 'counter.milestone10', celebration: 'pulse' },
+    { value: 25, message: 'counter.milestone25', celebration: 'pulse' },
+    { value: 50, message: 'counter.milestone50', celebration: 'pulse' },
+    { value: 100, message: 'counter.milestone100', celebration: 'confetti' },
+    { max: -1, message: 'counter.negative', type: 'warning', celebration: 'shake', sticky: true },
+    { value: 0, message: 'counter.zero' }
+];
+
+/**
+ * Default counter configuration
+ */
+const DEFAULT_COUNTER_CONFIG = {
+    step: 1,
+    min: -Infinity,
+    max: Infinity,
+    holdDelay: 400,
+    holdInterval: 200,
+    holdMinInterval: 40,
+    milestones: DEFAULT_COUNTER_MILESTONES
+};
+
+/**
+ * Interactive counter game with increment, decrement, and reset functionality
+ * Includes special messages for certain counter values
+ * Every action is recorded so it can be undone and redone (Ctrl+Z / Ctrl+Y),
+ * and the count and history are persisted in localStorage
+ * Step size, min/max bounds and milestone rules come from the options or
+ * from data-step, data-min, data-max and data-milestones (JSON) on #counterSection.
+ * Holding + or - repeats the step, speeding up the longer it is held.
+ * Every change dispatches a bubbling "counterchange" event on the section
+ * with {count, previous, action} so other features can follow the game.
+ */
+class CounterGame extends Component {
+    /**
+     * @param {string|Element} [root] - Counter section; defaults to #counterSection
+     * @param {Object} [options] - Overrides for DEFAULT_COUNTER_CONFIG
+     * @param {string} [options.storageKey] - localStorage key; defaults to one per counter id
+     */
+    constructor(root, options = {}) {
+        super(root || '#counterSection', options);
+        this.section = this.root;
+        this.config = { ...DEFAULT_COUNTER_CONFIG, ...this.readDataConfig(), ...options };
+        this.counterValue = this.find('.counter-value');
+        this.incrementBtn = this.find('[data-counter-action="increment"]');
+        this.decrementBtn = this.find('[data-counter-action="decrement"]');
+        this.resetBtn = this.find('[data-counter-action="reset"]');
+        this.undoBtn = this.find('[data-counter-action="undo"]');
+        this.redoBtn = this.find('[data-counter-action="redo"]');
+        this.historyList = this.find('.counter-history');
+        // Inline fallback for messages when notifications are unavailable
+        this.counterMessage = this.find('.counter-message');
+        this.message = null;
+        this.storageKey = options.storageKey || this.instanceName('counterState', 'counter');
+        
+        this.count = 0;
+        this.history = [];
+        this.redoStack = [];
+        this.holdTimer = null;
+        this.suppressClick = false;
+        this.locked = false;
+        this.init();
+    }
+    
+    /**
+     * Read counter settings from data-* attributes on the section
+     * @returns {Object} - Config overrides
+     */
+    readDataConfig() {
+        const config = {};
+        if (!this.section) {
+            return config;
+        }
+        
+        ['step', 'min', 'max'].forEach(name => {
+            const value = parseFloat(this.section.dataset[name]);
+            if (!isNaN(value)) {
+                config[name] = value;
+            }
+        });
+        
+        if (this.section.dataset.milestones) {
+            try {
+                config.milestones = JSON.parse(this.section.dataset.milestones);
+            } catch (error) {
+                console.warn('CounterGame: data-milestones is not valid JSON', error);
+            }
+        }
+        
+        return config;
+    }
+    
+    clamp(value) {
+        return Math.min(this.config.max, Math.max(this.config.min, value));
+    }
+    
+    init() {
+        this.loadState();
+        this.count = this.clamp(this.count);
+        
+        // Re-render the number, inline message and history in the new language
+        this.own(i18n.onChange(() => {
+            this.updateDisplay();
+            this.renderMessage();
+            this.renderHistory();
+        }));
+        
+        // One notification per counter, so a newer message replaces the last
+        this.messageId = `${this.id || 'counter'}.message`;
+        this.own(() => notifications.dismiss(this.messageId));
+        
+        // Add event listeners for all counter buttons
+        this.listen(this.incrementBtn, 'click', () => this.handleStepClick(() => this.increment()));
+        this.listen(this.decrementBtn, 'click', () => this.handleStepClick(() => this.decrement()));
+        this.listen(this.resetBtn, 'click', () => this.reset());
+        this.listen(this.undoBtn, 'click', () => this.undo());
+        this.listen(this.redoBtn, 'click', () => this.redo());
+        
+        // Press and hold to repeat
+        this.addHoldToRepeat(this.incrementBtn, () => this.increment());
+        this.addHoldToRepeat(this.decrementBtn, () => this.decrement());
+        
+        // Add keyboard support
+        this.registerShortcuts();
+        
+        this.updateDisplay();
+        this.renderHistory();
+    }
+    
+    loadState() {
+        try {
+            const state = JSON.parse(localStorage.getItem(this.storageKey));
+            if (state && typeof state.count === 'number') {
+                this.count = state.count;
+                this.history = Array.isArray(state.history) ? state.history : [];
+                this.redoStack = Array.isArray(state.redoStack) ? state.redoStack : [];
+            }
+        } catch (error) {
+            // Corrupt or unavailable storage: start from zero
+        }
+    }
+    
+    saveState() {
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify({
+                count: this.count,
+                history: this.history,
+                redoStack: this.redoStack
+            }));
+        } catch (error) {
+            console.warn('CounterGame: could not save state', error);
+        }
+    }
+    
+    /**
+     * Record an action; a new action discards anything that could be redone
+     * @param {string} action - "increment", "decrement" or "reset"
+     * @param {number} from - Count before the action
+     */
+    record(action, from) {
+        this.history.push({ action, from, to: this.count, timestamp: Date.now() });
+        if (this.history.length > COUNTER_HISTORY_LIMIT) {
+            this.history.shift();
+        }
+        this.redoStack = [];
+        
+        this.saveState();
+        this.renderHistory();
+        this.notifyChange(action, from);
+    }
+    
+    /**
+     * Tell listeners the count changed
+     * @param {string} action - "increment", "decrement", "reset", "undo" or "redo"
+     * @param {number} previous - Count before the change
+     */
+    notifyChange(action, previous) {
+        this.publish('counter:changed', { count: this.count, previous, action });
+        
+        if (this.section) {
+            this.section.dispatchEvent(new CustomEvent('counterchange', {
+                bubbles: true,
+                detail: { count: this.count, previous, action }
+            }));
+        }
+    }
+    
+    /**
+     * Ignore all input while locked (e.g. a paused challenge)
+     * @param {boolean} locked - Whether the counter is locked
+     */
+    setLocked(locked) {
+        this.locked = locked;
+        this.updateDisplay();
+        this.renderHistory();
+    }
+    
+    /**
+     * Repeat an action while a button is held, getting faster over time
+     * The click that follows a hold is ignored by handleStepClick so it does not add an extra step
+     * @param {Element} button - Button to watch
+     * @param {Function} action - Action to repeat
+     */
+    addHoldToRepeat(button, action) {
+        const stop = () => {
+            this.clearTimer(this.holdTimer);
+            this.holdTimer = null;
+        };
+        
+        this.listen(button, 'pointerdown', (e) => {
+            if (e.button !== 0) {
+                return;
+            }
+            
+            stop();
+            this.suppressClick = false;
+            let interval = this.config.holdInterval;
+            
+            const repeat = () => {
+                this.suppressClick = true;
+                action();
+                if (button.disabled) {
+                    stop();
+                    return;
+                }
+                interval = Math.max(this.config.holdMinInterval, interval * 0.8);
+                this.holdTimer = this.setTimer(repeat, interval);
+            };
+            
+            this.holdTimer = this.setTimer(repeat, this.config.holdDelay);
+        });
+        
+        ['pointerup', 'pointerleave', 'pointercancel', 'blur'].forEach(type => this.listen(button, type, stop));
+    }
+    
+    /**
+     * Run a button's action unless the click ends a press-and-hold
+     * @param {Function} action - Action for a single click
+     */
+    handleStepClick(action) {
+        if (this.suppressClick) {
+            this.suppressClick = false;
+            return;
+        }
+        action();
+    }
+    
+    increment() {
+        if (this.locked) {
+            return;
+        }
+        
+        const from = this.count;
+        this.count = this.clamp(this.count + this.config.step);
+        if (this.count === from) {
+            return;
+        }
+        
+        this.record('increment', from);
+        this.updateDisplay();
+        this.showMessage();
+        this.animateCounter();
+    }
+    
+    decrement() {
+        if (this.locked) {
+            return;
+        }
+        
+        const from = this.count;
+        this.count = this.clamp(this.count - this.config.step);
+        if (this.count === from) {
+            return;
+        }
+        
+        this.record('decrement', from);
+        this.updateDisplay();
+        this.showMessage();
+        this.animateCounter();
+    }
+    
+    undo() {
+        if (this.locked) {
+            return;
+        }
+        
+        const entry = this.history.pop();
+        if (!entry) {
+            return;
+        }
+        
+        this.redoStack.push(entry);
+        this.count = entry.from;
+        this.afterHistoryChange('undo', entry.to);
+    }
+    
+    redo() {
+        if (this.locked) {
+            return;
+        }
+        
+        const entry = this.redoStack.pop();
+        if (!entry) {
+            return;
+        }
+        
+        this.history.push(entry);
+        this.count = entry.to;
+        this.afterHistoryChange('redo', entry.from);
+    }
+    
+    afterHistoryChange(action, previous) {
+        this.saveState();
+        this.updateDisplay();
+        this.renderHistory();
+        this.animateCounter();
+        this.notifyChange(action, previous);
+    }
+    
+    /**
+     * Render the most recent actions, newest first, and update undo/redo buttons
+     */
+    renderHistory() {
+        if (this.undoBtn) {
+            this.undoBtn.disabled = this.locked || this.history.length === 0;
+            this.undoBtn.textContent = i18n.t('counter.undo');
+        }
+        
+        if (this.redoBtn) {
+            this.redoBtn.disabled = this.locked || this.redoStack.length === 0;
+            this.redoBtn.textContent = i18n.t('counter.redo');
+        }
+        
+        if (!this.historyList) {
+            return;
+        }
+        
+        this.historyList.setAttribute('aria-label', i18n.t('counter.historyLabel'));
+        this.historyList.innerHTML = '';
+        this.history.slice(-10).reverse().forEach(entry => {
+            const item = document.createElement('li');
+            const time = document.createElement('time');
+            time.dateTime = new Date(entry.timestamp).toISOString();
+            time.textContent = new Date(entry.timestamp).toLocaleTimeString(i18n.locale);
+            
+            item.textContent = `${i18n.t(`counter.history.${entry.action}`, {
+                value: entry.to,
+                step: Math.abs(entry.to - entry.from)
+            })} `;
+            item.appendChild(time);
+            this.historyList.appendChild(item);
+        });
+    }
+    
+    reset() {
+        if (this.locked) {
+            return;
+        }
+        
+        const from = this.count;
+        this.count = this.clamp(0);
+        this.record('reset', from);
+        this.updateDisplay();
+        this.animateCounter();
+        
+        this.notify({
+            id: this.messageId,
+            message: 'counter.reset',
+            actions: [{ label: 'counter.undo', handler: () => this.undo() }]
+        }, () => this.setMessage({ key: 'counter.reset' }));
+    }
+    
+    updateDisplay() {
+        if (this.counterValue) {
+            this.counterValue.textContent = i18n.formatNumber(this.count);
+        }
+        
+        // Disable the buttons that cannot move any further
+        if (this.incrementBtn) {
+            this.incrementBtn.disabled = this.locked || this.count >= this.config.max;
+        }
+        if (this.decrementBtn) {
+            this.decrementBtn.disabled = this.locked || this.count <= this.config.min;
+        }
+        if (this.resetBtn) {
+            this.resetBtn.disabled = this.locked;
+        }
+    }
+    
+    /**
+     * Check a milestone rule against a count
+     * @param {Object} rule - Milestone rule
+     * @param {number} count - Current count
+     * @returns {boolean}
+     */
+    matchesMilestone(rule, count) {
+        if (rule.value !== undefined && count !== rule.value) {
+            return false;
+        }
+        if (rule.every !== undefined && (count === 0 || count % rule.every !== 0)) {
+            return false;
+        }
+        if (rule.min !== undefined && count < rule.min) {
+            return false;
+        }
+        if (rule.max !== undefined && count > rule.max) {
+            return false;
+        }
+        return true;
+    }
+    
+    showMessage() {
+        const rule = this.config.milestones.find(milestone => this.matchesMilestone(milestone, this.count));
+        
+        if (!rule) {
+            notifications.dismiss(this.messageId);
+            this.setMessage(null);
+            return;
+        }
+        
+        this.publish('counter:milestone', { count: this.count, message: rule.message });
+        // Read out by the shared announcer, so the toast stays quiet
+        announcer.announce(i18n.t(rule.message, { count: this.count }));
+        this.notify({
+            id: this.messageId,
+            type: rule.type || 'success',
+            message: rule.message,
+            params: { count: this.count },
+            silent: true,
+            // Sticky messages stay until dismissed or replaced
+            duration: rule.sticky ? 0 : rule.duration || 3000
+        }, () => this.setMessage({ key: rule.message, params: { count: this.count } }));
+        
+        if (rule.celebration) {
+            this.celebrate(rule.celebration);
+        }
+    }
+    
+    /**
+     * Show a translated message inline, or clear it with null
+     * @param {{key: string, params: Object}|null} message - Message key and parameters
+     */
+    setMessage(message) {
+        this.message = message;
+        this.renderMessage();
+    }
+    
+    renderMessage() {
+        if (this.counterMessage) {
+            this.counterMessage.textContent = this.message ? i18n.t(this.message.key, this.message.params) : '';
+        }
+    }
+    
+    /**
+     * Play a celebration animation on the counter display
+     * @param {string} type - "pulse", "shake" or "confetti"
+     */
+    celebrate(type) {
+        const display = this.counterValue ? this.counterValue.closest('.counter-display') : null;
+        if (!display) {
+            return;
+        }
+        
+        const className = `celebrate-${type}`;
+        display.classList.remove(className);
+        void display.offsetWidth;
+        display.classList.add(className);
+        
+        if (type === 'confetti') {
+            for (let i = 0; i < 16; i++) {
+                const piece = document.createElement('span');
+                piece.className = 'confetti-piece';
+                piece.style.setProperty('--angle', `${Math.round(Math.random() * 360)}deg`);
+                piece.style.setProperty('--hue', Math.round(Math.random() * 360));
+                display.appendChild(piece);
+            }
+        }
+        
+        this.setTimer(() => {
+            display.classList.remove(className);
+            display.querySelectorAll('.confetti-piece').forEach(piece => piece.remove());
+        }, 1000);
+    }
+    
+    animateCounter() {
+        if (this.counterValue) {
+            this.counterValue.style.transform = 'scale(1.2)';
+            this.setTimer(() => {
+                this.counterValue.style.transform = 'scale(1)';
+            }, 200);
+        }
+    }
+    
+    /**
+     * Register the counter's shortcuts, active while focus is inside the section
+     * Ids are prefixed with the component id so every counter keeps its own bindings
+     */
+    registerShortcuts() {
+        const scope = this.section;
+        const group = 'shortcuts.group.counter';
+        const prefix = this.id || 'counter';
+        
+        [
+            { action: 'increment', keys: ['+', '='], handler: () => this.increment() },
+            { action: 'decrement', keys: ['-'], handler: () => this.decrement() },
+            { action: 'reset', keys: ['Ctrl+0'], handler: () => this.reset() },
+            { action: 'undo', keys: ['Ctrl+Z'], handler: () => this.undo() },
+            { action: 'redo', keys: ['Ctrl+Y', 'Ctrl+Shift+Z'], handler: () => this.redo() }
+        ].forEach(({ action, keys, handler }) => {
+            this.own(shortcuts.register({
+                id: `${prefix}.${action}`,
+                keys,
+                description: `shortcuts.counter.${action}`,
+                group,
+                scope,
+                handler
+            }));
+        });
+    }
+}
+
+// ============================================================================
+// COUNTER CHALLENGE
+// ============================================================================
+
+/**
+ * Challenge difficulty levels
+ * Targets are picked between minTarget and maxTarget (inside the counter's
+ * bounds) and must be reached within timeLimit seconds
+ */
+const CHALLENGE_DIFFICULTIES = {
+    easy: { minTarget: 5, maxTarget: 15, timeLimit: 20, multiplier: 1 },
+    normal: { minTarget: 10, maxTarget: 40, timeLimit: 15, multiplier: 1.5 },
+    hard: { minTarget: -30, maxTarget: 60, timeLimit: 12, multiplier: 2 }
+};
+
+const LEADERBOARD_SIZE = 10;
+
+/**
+ * Timed challenge mode built on top of a CounterGame
+ * The player has to move the counter to a random target before the countdown
+ * ends. Scores reward speed and accuracy (few wasted presses) and are kept in
+ * a local top-10 leaderboard.
+ * Plays with options.game, the counter with id options.counter, or the
+ * counter component the root element sits in.
+ * Results are rendered in the panel rather than as a notification: they are
+ * the round's score sheet, with the leaderboard and Play again, and stay
+ * until the player starts over.
+ */
+class CounterChallenge extends Component {
+    /**
+     * @param {string|Element} root - Element the challenge panel renders into
+     * @param {Object} [options]
+     * @param {CounterGame} [options.game] - Counter the challenge is played with
+     * @param {string} [options.counter] - Registry id of the counter
+     * @param {string} [options.leaderboardKey] - localStorage key for the leaderboard; defaults to one per challenge id
+     */
+    constructor(root, options = {}) {
+        super(root, options);
+        this.game = options.game || this.findGame(options.counter);
+        this.section = this.game ? this.game.section : null;
+        this.container = this.root;
+        this.leaderboardKey = options.leaderboardKey || this.instanceName('counterLeaderboard', 'counter-challenge');
+        this.messageId = `${this.id || 'counter-challenge'}.message`;
+        this.state = 'idle';
+        this.round = null;
+        this.timer = null;
+        
+        this.init();
+    }
+    
+    findGame(counterId) {
+        const host = this.root && this.root.parentElement
+            ? this.root.parentElement.closest('[data-component="counter"]')
+            : null;
+        return App.get(counterId || host);
+    }
+    
+    init() {
+        if (!this.container || !this.game) {
+            return;
+        }
+        
+        this.listen(this.section, 'counterchange', (e) => this.handleCounterChange(e.detail));
+        this.own(i18n.onChange(() => this.render()));
+        
+        this.render();
+    }
+    
+    destroy() {
+        if (this.state === 'running' || this.state === 'paused') {
+            this.game.setLocked(false);
+        }
+        notifications.dismiss(this.messageId);
+        super.destroy();
+        
+        if (this.container) {
+            this.container.innerHTML = '';
+            delete this.container.dataset.state;
+        }
+    }
+    
+    /**
+     * Start a round at the chosen difficulty
+     * @param {string} difficulty - Key of CHALLENGE_DIFFICULTIES
+     * @param {string} playerName - Name for the leaderboard
+     * @returns {boolean} - False when the counter cannot reach any target
+     */
+    start(difficulty, playerName) {
+        const level = CHALLENGE_DIFFICULTIES[difficulty] || CHALLENGE_DIFFICULTIES.normal;
+        const start = this.game.count;
+        const min = Math.max(level.minTarget, this.game.config.min);
+        const max = Math.min(level.maxTarget, this.game.config.max);
+        const step = this.game.config.step;
+        
+        // Only targets the counter can land on with its step size
+        const targets = [];
+        for (let value = min; value <= max; value++) {
+            if (value !== start && (value - start) % step === 0) {
+                targets.push(value);
+            }
+        }
+        
+        // e.g. a fractional count, or min/max bounds tighter than the difficulty's range
+        if (targets.length === 0) {
+            notifications.show({
+                id: this.messageId,
+                type: 'warning',
+                message: 'challenge.noTarget'
+            });
+            return false;
+        }
+        
+        notifications.dismiss(this.messageId);
+        localStorage.setItem('counterPlayerName', playerName);
+        
+        this.round = {
+            difficulty,
+            level,
+            playerName,
+            start,
+            target: targets[Math.floor(Math.random() * targets.length)],
+            presses: 0,
+            elapsed: 0,
+            resumedAt: performance.now()
+        };
+        this.state = 'running';
+        this.startTimer();
+        this.render();
+        this.publish('challenge:started', { difficulty, target: this.round.target });
+        return true;
+    }
+    
+    startTimer() {
+        this.clearTimer(this.timer);
+        this.timer = this.setRepeatingTimer(() => this.tick(), 100);
+    }
+    
+    stopTimer() {
+        this.clearTimer(this.timer);
+        this.timer = null;
+    }
+    
+    getElapsed() {
+        const running = this.state === 'running' ? performance.now() - this.round.resumedAt : 0;
+        return (this.round.elapsed + running) / 1000;
+    }
+    
+    getRemaining() {
+        return Math.max(0, this.round.level.timeLimit - this.getElapsed());
+    }
+    
+    tick() {
+        if (this.getRemaining() <= 0) {
+            this.finish(false);
+            return;
+        }
+        this.renderTimer();
+    }
+    
+    pause() {
+        if (this.state !== 'running') {
+            return;
+        }
+        
+        this.round.elapsed += performance.now() - this.round.resumedAt;
+        this.state = 'paused';
+        this.stopTimer();
+        this.game.setLocked(true);
+        this.render();
+    }
+    
+    resume() {
+        if (this.state !== 'paused') {
+            return;
+        }
+        
+        this.round.resumedAt = performance.now();
+        this.state = 'running';
+        this.game.setLocked(false);
+        this.startTimer();
+        this.render();
+    }
+    
+    quit() {
+        this.stopTimer();
+        this.game.setLocked(false);
+        this.state = 'idle';
+        this.round = null;
+        this.render();
+    }
+    
+    handleCounterChange(detail) {
+        if (this.state !== 'running') {
+            return;
+        }
+        
+        this.round.presses++;
+        if (detail.count === this.round.target) {
+            this.finish(true);
+        }
+    }
+    
+    /**
+     * End the round, score it and record it on the leaderboard
+     * @param {boolean} reachedTarget - Whether the target was hit in time
+     */
+    finish(reachedTarget) {
+        this.round.elapsed += this.state === 'running' ? performance.now() - this.round.resumedAt : 0;
+        this.stopTimer();
+        this.game.setLocked(false);
+        
+        const result = this.score(reachedTarget);
+        this.round.result = result;
+        this.round.rank = this.addToLeaderboard(result.score);
+        this.state = 'results';
+        this.render();
+        this.publish('challenge:finished', {
+            difficulty: this.round.difficulty,
+            reachedTarget,
+            score: result.score,
+            rank: this.round.rank
+        });
+    }
+    
+    /**
+     * Score a round: speed counts only when the target was reached, accuracy
+     * compares the presses used with the fewest possible
+     * @param {boolean} reachedTarget - Whether the target was hit in time
+     * @returns {{reachedTarget: boolean, score: number, accuracy: number, time: number}}
+     */
+    score(reachedTarget) {
+        const { level, start, target, presses } = this.round;
+        const distance = Math.abs(target - start);
+        const fewestPresses = Math.ceil(distance / this.game.config.step);
+        const accuracy = Math.min(1, fewestPresses / Math.max(presses, 1));
+        const time = Math.min(level.timeLimit, this.round.elapsed / 1000);
+        let points;
+        
+        if (reachedTarget) {
+            points = (500 + 500 * (1 - time / level.timeLimit)) * accuracy;
+        } else {
+            const closeness = Math.max(0, 1 - Math.abs(this.game.count - target) / Math.max(distance, 1));
+            points = 300 * closeness * accuracy;
+        }
+        
+        return { reachedTarget, score: Math.round(points * level.multiplier), accuracy, time };
+    }
+    
+    getLeaderboard() {
+        try {
+            const entries = JSON.parse(localStorage.getItem(this.leaderboardKey));
+            return Array.isArray(entries) ? entries : [];
+        } catch (error) {
+            return [];
+        }
+    }
+    
+    /**
+     * Insert a score into the leaderboard
+     * @param {number} score - Points scored
+     * @returns {number} - 1-based rank, or 0 if it did not make the top 10
+     */
+    addToLeaderboard(score) {
+        const entry = {
+            name: this.round.playerName,
+            score,
+            difficulty: this.round.difficulty,
+            date: Date.now()
+        };
+        const entries = [...this.getLeaderboard(), entry]
+            .sort((a, b) => b.score - a.score || a.date - b.date)
+            .slice(0, LEADERBOARD_SIZE);
+        
+        try {
+            localStorage.setItem(this.leaderboardKey, JSON.stringify(entries));
+        } catch (error) {
+            console.warn('CounterChallenge: could not save leaderboard', error);
+        }
+        
+        return entries.indexOf(entry) + 1;
+    }
+    
+    render() {
+        if (!this.container) {
+            return;
+        }
+        
+        this.container.dataset.state = this.state;
+        
+        if (this.state === 'idle') {
+            this.renderStartPanel();
+        } else if (this.state === 'results') {
+            this.renderResults();
+        } else {
+            this.renderRound();
+        }
+    }
+    
+    renderStartPanel() {
+        this.container.innerHTML = `
+            <h3></h3>
+            <div class="challenge-setup">
+                <input type="text" class="challenge-name" maxlength="20" autocomplete="nickname">
+                <select class="challenge-difficulty"></select>
+                <button type="button" class="btn btn-primary challenge-start"></button>
+            </div>
+        `;
+        
+        const nameInput = this.container.querySelector('.challenge-name');
+        const difficultySelect = this.container.querySelector('.challenge-difficulty');
+        
+        this.container.querySelector('h3').textContent = i18n.t('challenge.title');
+        nameInput.placeholder = i18n.t('challenge.namePlaceholder');
+        nameInput.setAttribute('aria-label', i18n.t('challenge.nameLabel'));
+        nameInput.value = localStorage.getItem('counterPlayerName') || '';
+        difficultySelect.setAttribute('aria-label', i18n.t('challenge.difficultyLabel'));
+        Object.keys(CHALLENGE_DIFFICULTIES).forEach(difficulty => {
+            const option = document.createElement('option');
+            option.value = difficulty;
+            option.textContent = i18n.t(`challenge.difficulty.${difficulty}`);
+            difficultySelect.appendChild(option);
+        });
+        difficultySelect.value = 'normal';
+        
+        const startButton = this.container.querySelector('.challenge-start');
+        startButton.textContent = i18n.t('challenge.start');
+        addEvent(startButton, 'click', () => {
+            this.start(difficultySelect.value, nameInput.value.trim() || i18n.t('challenge.anonymous'));
+        });
+        
+        this.container.appendChild(this.createLeaderboard());
+    }
+    
+    renderRound() {
+        const isPaused = this.state === 'paused';
+        
+        this.container.innerHTML = `
+            <p class="challenge-target"></p>
+            <p class="challenge-timer" role="timer" aria-live="off"></p>
+            <div class="challenge-actions">
+                <button type="button" class="btn btn-secondary challenge-pause"></button>
+                <button type="button" class="btn btn-danger challenge-quit"></button>
+            </div>
+        `;
+        
+        this.container.querySelector('.challenge-target').textContent = i18n.t('challenge.target', { target: this.round.target });
+        
+        const pauseButton = this.container.querySelector('.challenge-pause');
+        pauseButton.textContent = i18n.t(isPaused ? 'challenge.resume' : 'challenge.pause');
+        addEvent(pauseButton, 'click', () => (isPaused ? this.resume() : this.pause()));
+        
+        const quitButton = this.container.querySelector('.challenge-quit');
+        quitButton.textContent = i18n.t('challenge.quit');
+        addEvent(quitButton, 'click', () => this.quit());
+        
+        this.renderTimer();
+    }
+    
+    renderTimer() {
+        const timer = this.container.querySelector('.challenge-timer');
+        if (!timer) {
+            return;
+        }
+        
+        const remaining = this.getRemaining();
+        timer.textContent = i18n.t(this.state === 'paused' ? 'challenge.paused' : 'challenge.timeLeft', {
+            seconds: Number(remaining.toFixed(1))
+        });
+        timer.classList.toggle('challenge-timer-low', remaining <= 5);
+    }
+    
+    renderResults() {
+        const { result, rank, target } = this.round;
+        
+        this.container.innerHTML = `
+            <h3></h3>
+            <dl class="challenge-results">
+                <dt></dt><dd class="challenge-score"></dd>
+                <dt></dt><dd></dd>
+                <dt></dt><dd></dd>
+            </dl>
+            <p class="challenge-rank"></p>
+            <button type="button" class="btn btn-primary challenge-again"></button>
+        `;
+        
+        this.container.querySelector('h3').textContent = i18n.t(result.reachedTarget ? 'challenge.won' : 'challenge.timeUp', { target });
+        
+        const terms = this.container.querySelectorAll('dt');
+        const details = this.container.querySelectorAll('dd');
+        terms[0].textContent = i18n.t('challenge.score');
+        details[0].textContent = i18n.formatNumber(result.score);
+        terms[1].textContent = i18n.t('challenge.time');
+        details[1].textContent = i18n.t('challenge.seconds', { seconds: Number(result.time.toFixed(1)) });
+        terms[2].textContent = i18n.t('challenge.accuracy');
+        details[2].textContent = `${i18n.formatNumber(Math.round(result.accuracy * 100))}%`;
+        
+        this.container.querySelector('.challenge-rank').textContent = rank > 0
+            ? i18n.t('challenge.rank', { rank })
+            : i18n.t('challenge.noRank');
+        
+        const againButton = this.container.querySelector('.challenge-again');
+        againButton.textContent = i18n.t('challenge.playAgain');
+        addEvent(againButton, 'click', () => this.quit());
+        
+        this.container.appendChild(this.createLeaderboard(rank));
+        againButton.focus();
+    }
+    
+    /**
+     * Build the leaderboard table
+     * @param {number} [highlightRank] - 1-based rank to highlight
+     * @returns {Element}
+     */
+    createLeaderboard(highlightRank = 0) {
+        const entries = this.getLeaderboard();
+        const wrapper = document.createElement('div');
+        wrapper.className = 'challenge-leaderboard';
+        
+        const heading = document.createElement('h4');
+        heading.textContent = i18n.t('challenge.leaderboard');
+        wrapper.appendChild(heading);
+        
+        if (entries.length === 0) {
+            const empty = document.createElement('p');
+            empty.textContent = i18n.t('challenge.noScores');
+            wrapper.appendChild(empty);
+            return wrapper;
+        }
+        
+        const list = document.createElement('ol');
+        entries.forEach((entry, index) => {
+            const item = document.createElement('li');
+            item.classList.toggle('highlight', index + 1 === highlightRank);
+            
+            const name = document.createElement('span');
+            name.className = 'leaderboard-name';
+            name.textContent = entry.name;
+            
+            const score = document.createElement('span');
+            score.className = 'leaderboard-score';
+            score.textContent = `${i18n.formatNumber(entry.score)} · ${i18n.t(`challenge.difficulty.${entry.difficulty}`)}`;
+            
+            item.append(name, score);
+            list.appendChild(item);
+        });
+        wrapper.appendChild(list);
+        
+        return wrapper;
+    }
+}
+
+// ============================================================================
+// COLLAPSIBLE FAQ SECTION
+// ============================================================================
+
+/**
+ * Wrap case-insensitive matches of a query inside an element in <mark>
+ * Elements matching the skip selector are left untouched
+ * @param {Element} element - Element whose text nodes are searched
+ * @param {string} query - Text to highlight
+ * @param {string} [skip] - Selector for descendants to ignore
+ */
+function highlightText(element, query, skip) {
+    const walker = document.createTreeWalker(element, NodeFilter.SHOW_TEXT, {
+        acceptNode: node => skip && node.parentElement.closest(skip) ? NodeFilter.FILTER_REJECT : NodeFilter.FILTER_ACCEPT
+    });
+    const textNodes = [];
+    while (walker.nextNode()) {
+        textNodes.push(walker.currentNode);
+    }
+    
+    const needle = query.toLowerCase();
+    textNodes.forEach(node => {
+        const text = node.textContent;
+        const lower = text.toLowerCase();
+        let index = lower.indexOf(needle);
+        if (index === -1) {
+            return;
+        }
+        
+        const fragment = document.createDocumentFragment();
+        let start = 0;
+        while (index !== -1) {
+            fragment.appendChild(document.createTextNode(text.slice(start, index)));
+            const mark = document.createElement('mark');
+            mark.textContent = text.slice(index, index + needle.length);
+            fragment.appendChild(mark);
+            start = index + needle.length;
+            index = lower.indexOf(needle, start);
+        }
+        fragment.appendChild(document.createTextNode(text.slice(start)));
+        node.replaceWith(fragment);
+    });
+}
+
+/**
+ * Remove <mark> elements added by highlightText
+ * @param {Element} element - Element to clean up
+ */
+function clearHighlights(element) {
+    element.querySelectorAll('mark').forEach(mark => mark.replaceWith(mark.textContent));
+    element.normalize();
+}
+
+/**
+ * Collapsible FAQ section with smooth animations
+ * Allows only one FAQ to be open at a time (accordion style) unless
+ * multiOpen is set, in which case "Expand all" is offered as well.
+ * Includes a search box that filters and highlights questions and answers.
+ * The open answers are kept in the URL (?faq=faq2 or #faq2) so they can be linked to.
+ *
+ * Items can be rendered from JSON, given inline or loaded from a URL:
+ *   { "categories": [{ "id": "basics", "title": "Basics", "order": 1 }],
+ *     "items": [{ "id": "faq1", "question": "…", "answer": "…", "category": "basics", "order": 1 }] }
+ * A plain array of items is accepted too. Answers are plain text (blank lines
+ * start a new paragraph) and are never parsed as HTML. Without a data source
+ * the existing markup is enhanced.
+ */
+class FAQSection extends Component {
+    /**
+     * @param {string|Element} [root] - FAQ container; defaults to .faq-container
+     * @param {Object} [options]
+     * @param {boolean} [options.multiOpen] - Allow several answers open at once; defaults to data-multi-open
+     * @param {boolean} [options.searchable] - Render the search box and expand/collapse controls
+     * @param {string|null} [options.urlParam] - Query parameter for the open answers, null to disable; defaults to one per FAQ id
+     * @param {Object|Array} [options.data] - Inline FAQ data
+     * @param {string} [options.source] - URL of FAQ JSON; defaults to data-source on the container
+     */
+    constructor(root, options = {}) {
+        super(root || '.faq-container', options);
+        this.container = this.root;
+        this.faqQuestions = [];
+        this.data = options.data || null;
+        this.source = options.source || (this.container && this.container.dataset.source) || null;
+        this.status = null;
+        this.multiOpen = options.multiOpen !== undefined
+            ? options.multiOpen
+            : Boolean(this.container && this.container.hasAttribute('data-multi-open'));
+        this.searchable = options.searchable !== undefined ? options.searchable : true;
+        this.urlParam = options.urlParam !== undefined ? options.urlParam : this.instanceName('faq', 'faq');
+        this.reducedMotion = window.matchMedia('(prefers-reduced-motion: reduce)');
+        this.toolbar = null;
+        this.init();
+    }
+    
+    init() {
+        if (this.container && (this.data || this.source)) {
+            this.load();
+        } else {
+            this.enhance();
+        }
+    }
+    
+    /**
+     * Render items from the data source, showing loading and error states
+     */
+    async load() {
+        this.showStatus('faq.loading');
+        
+        try {
+            const data = this.data || await this.fetchData();
+            if (this.destroyed) {
+                return;
+            }
+            this.render(data);
+            this.hideStatus();
+            this.enhance();
+        } catch (error) {
+            console.error('FAQSection: could not load questions', error);
+            this.showStatus('faq.loadError', true);
+        }
+    }
+    
+    async fetchData() {
+        const response = await fetch(this.source, { headers: { Accept: 'application/json' } });
+        if (!response.ok) {
+            throw new Error(`Request failed with status ${response.status}`);
+        }
+        return response.json();
+    }
+    
+    /**
+     * Show a loading or error message in place of the questions
+     * @param {string} key - Message key
+     * @param {boolean} [canRetry] - Add a retry button
+     */
+    showStatus(key, canRetry = false) {
+        this.hideStatus();
+        
+        this.status = document.createElement('div');
+        this.status.className = canRetry ? 'faq-status faq-status-error' : 'faq-status';
+        this.status.setAttribute('role', canRetry ? 'alert' : 'status');
+        this.status.innerHTML = `<p></p>${canRetry ? '<button type="button" class="btn btn-secondary"></button>' : ''}`;
+        this.status.dataset.key = key;
+        this.renderStatusText();
+        
+        addEvent(this.status.querySelector('button'), 'click', () => this.load());
+        
+        this.container.setAttribute('aria-busy', String(!canRetry));
+        this.container.appendChild(this.status);
+        
+        if (!this.statusListener) {
+            this.statusListener = this.own(i18n.onChange(() => this.renderStatusText()));
+        }
+    }
+    
+    renderStatusText() {
+        if (!this.status) {
+            return;
+        }
+        
+        const retryButton = this.status.querySelector('button');
+        this.status.querySelector('p').textContent = i18n.t(this.status.dataset.key);
+        if (retryButton) {
+            retryButton.textContent = i18n.t('faq.retry');
+        }
+    }
+    
+    hideStatus() {
+        if (this.status) {
+            this.status.remove();
+            this.status = null;
+        }
+        this.container.removeAttribute('aria-busy');
+    }
+    
+    /**
+     * Replace the container's items with ones built from data
+     * @param {Object|Array} data - FAQ data
+     */
+    render(data) {
+        const items = Array.isArray(data) ? data : data.items || [];
+        const categories = Array.isArray(data) ? [] : data.categories || [];
+        const byOrder = (a, b) => (a.order !== undefined ? a.order : Infinity) - (b.order !== undefined ? b.order : Infinity);
+        
+        // Items without a known category come first, without a heading
+        const groups = [{ id: null, title: null }, ...categories.slice().sort(byOrder)].map(category => ({
+            category,
+            items: items
+                .filter(item => category.id === null
+                    ? !categories.some(known => known.id === item.category)
+                    : item.category === category.id)
+                .sort(byOrder)
+        }));
+        
+        this.container.querySelectorAll('.faq-item, .faq-category').forEach(element => element.remove());
+        
+        let count = 0;
+        groups.forEach(group => {
+            if (group.items.length === 0) {
+                return;
+            }
+            
+            let parent = this.container;
+            if (group.category.title) {
+                parent = document.createElement('div');
+                parent.className = 'faq-category';
+                const heading = document.createElement('h3');
+                heading.className = 'faq-category-title';
+                heading.textContent = group.category.title;
+                parent.appendChild(heading);
+                this.container.appendChild(parent);
+            }
+            
+            group.items.forEach(item => {
+                count++;
+                parent.appendChild(this.createItem(item, item.id || `faq${count}`));
+            });
+        });
+    }
+    
+    createItem(item, answerId) {
+        const element = document.createElement('div');
+        element.className = 'faq-item';
+        
+        const question = document.createElement('button');
+        question.className = 'faq-question';
+        question.setAttribute('data-target', answerId);
+        question.textContent = item.question;
+        
+        const icon = document.createElement('span');
+        icon.className = 'faq-icon';
+        icon.textContent = '+';
+        question.appendChild(icon);
+        
+        const answer = document.createElement('div');
+        answer.className = 'faq-answer';
+        answer.id = answerId;
+        String(item.answer || '').split(/\n\s*\n/).forEach(text => {
+            const paragraph = document.createElement('p');
+            paragraph.textContent = text.trim();
+            answer.appendChild(paragraph);
+        });
+        
+        element.appendChild(question);
+        element.appendChild(answer);
+        return element;
+    }
+    
+    /**
+     * Wire up the questions currently in the container
+     */
+    enhance() {
+        this.faqQuestions = this.findAll('.faq-question');
+        this.applyAria();
+        
+        // Add click event listeners to all FAQ questions
+        this.faqQuestions.forEach(question => {
+            this.listen(question, 'click', () => {
+                this.toggleFAQ(question);
+                this.saveToUrl();
+                this.publish('faq:toggled', {
+                    question: question.getAttribute('data-target'),
+                    open: question.classList.contains('active')
+                });
+            });
+        });
+        
+        if (this.searchable && this.container) {
+            this.renderToolbar();
+            this.own(i18n.onChange(() => this.renderToolbarText()));
+            this.own(shortcuts.register({
+                id: `${this.id || 'faq'}.search`,
+                keys: ['/'],
+                description: 'shortcuts.faq.search',
+                group: 'shortcuts.group.faq',
+                handler: () => this.searchInput.focus()
+            }));
+        }
+        
+        if (this.urlParam) {
+            this.restoreFromUrl();
+            this.own(onUrlChange(() => this.restoreFromUrl()));
+        }
+    }
+    
+    destroy() {
+        super.destroy();
+        
+        if (this.toolbar) {
+            this.faqQuestions.forEach(question => question.closest('.faq-item').hidden = false);
+            this.toolbar.remove();
+            this.toolbar = null;
+        }
+        if (this.status) {
+            this.hideStatus();
+        }
+    }
+    
+    /**
+     * Link each question button to its answer for assistive technology
+     */
+    applyAria() {
+        this.faqQuestions.forEach(question => {
+            const answer = this.getAnswer(question);
+            const isOpen = question.classList.contains('active');
+            
+            question.setAttribute('aria-expanded', String(isOpen));
+            if (answer) {
+                question.id = question.id || `${answer.id}-question`;
+                question.setAttribute('aria-controls', answer.id);
+                answer.setAttribute('role', 'region');
+                answer.setAttribute('aria-labelledby', question.id);
+                answer.style.maxHeight = isOpen ? 'none' : '0px';
+            }
+        });
+    }
+    
+    renderToolbar() {
+        this.toolbar = document.createElement('div');
+        this.toolbar.className = 'faq-toolbar';
+        this.toolbar.innerHTML = `
+            <input type="search" class="faq-search">
+            <div class="faq-toolbar-actions">
+                ${this.multiOpen ? '<button type="button" class="btn btn-secondary" data-faq-action="expand"></button>' : ''}
+                <button type="button" class="btn btn-secondary" data-faq-action="collapse"></button>
+            </div>
+            <p class="faq-no-results" hidden></p>
+        `;
+        
+        this.searchInput = this.toolbar.querySelector('.faq-search');
+        this.noResults = this.toolbar.querySelector('.faq-no-results');
+        this.renderToolbarText();
+        
+        addEvent(this.searchInput, 'input', () => this.filter(this.searchInput.value));
+        addEvent(this.toolbar.querySelector('[data-faq-action="expand"]'), 'click', () => this.expandAll());
+        addEvent(this.toolbar.querySelector('[data-faq-action="collapse"]'), 'click', () => this.collapseAll());
+        
+        this.container.prepend(this.toolbar);
+    }
+    
+    renderToolbarText() {
+        const expandButton = this.toolbar.querySelector('[data-faq-action="expand"]');
+        
+        this.searchInput.placeholder = i18n.t('faq.searchPlaceholder');
+        this.searchInput.setAttribute('aria-label', i18n.t('faq.searchLabel'));
+        this.toolbar.querySelector('[data-faq-action="collapse"]').textContent = i18n.t('faq.collapseAll');
+        this.noResults.textContent = i18n.t('faq.noResults');
+        if (expandButton) {
+            expandButton.textContent = i18n.t('faq.expandAll');
+        }
+    }
+    
+    getAnswer(question) {
+        const selector = `#${CSS.escape(question.getAttribute('data-target'))}`;
+        return this.container.querySelector(selector) || getElement(selector);
+    }
+    
+    getOpenQuestions() {
+        return this.faqQuestions.filter(question => question.classList.contains('active'));
+    }
+    
+    findQuestion(answerId) {
+        return this.faqQuestions.find(question => question.getAttribute('data-target') === answerId) || null;
+    }
+    
+    /**
+     * Open the answers named by the URL hash or query parameter and close the rest
+     */
+    restoreFromUrl() {
+        const hashId = window.location.hash.slice(1);
+        const param = new URLSearchParams(window.location.search).get(this.urlParam);
+        const answerIds = this.findQuestion(hashId) ? [hashId] : (param || '').split(',');
+        let questions = answerIds.map(id => this.findQuestion(id)).filter(Boolean);
+        
+        if (!this.multiOpen) {
+            questions = questions.slice(0, 1);
+        }
+        
+        this.faqQuestions.forEach(question => {
+            const shouldOpen = questions.includes(question);
+            if (shouldOpen !== question.classList.contains('active')) {
+                this.setOpen(question, shouldOpen);
+            }
+        });
+    }
+    
+    saveToUrl() {
+        if (!this.urlParam) {
+            return;
+        }
+        
+        const openIds = this.getOpenQuestions().map(question => question.getAttribute('data-target'));
+        
+        updateUrl(url => {
+            if (openIds.length > 0) {
+                url.searchParams.set(this.urlParam, openIds.join(','));
+            } else {
+                url.searchParams.delete(this.urlParam);
+            }
+            
+            // The query parameter now describes the state; drop a stale #faqN
+            if (this.findQuestion(url.hash.slice(1))) {
+                url.hash = '';
+            }
+        });
+    }
+    
+    toggleFAQ(clickedQuestion) {
+        const willOpen = !clickedQuestion.classList.contains('active');
+        
+        // Close all other FAQs in accordion mode
+        if (willOpen && !this.multiOpen) {
+            this.getOpenQuestions().forEach(question => this.setOpen(question, false));
+        }
+        
+        this.setOpen(clickedQuestion, willOpen);
+    }
+    
+    expandAll() {
+        this.faqQuestions
+            .filter(question => !question.closest('.faq-item').hidden && !question.classList.contains('active'))
+            .forEach(question => this.setOpen(question, true));
+        this.saveToUrl();
+    }
+    
+    collapseAll() {
+        this.getOpenQuestions().forEach(question => this.setOpen(question, false));
+        this.saveToUrl();
+    }
+    
+    /**
+     * Open or close one answer, animating its height unless reduced motion is preferred
+     * @param {Element} question - Question button
+     * @param {boolean} isOpen - Whether the answer should be open
+     */
+    setOpen(question, isOpen) {
+        const answer = this.getAnswer(question);
+        
+        question.classList.toggle('active', isOpen);
+        question.setAttribute('aria-expanded', String(isOpen));
+        
+        if (!answer) {
+            return;
+        }
+        
+        answer.classList.toggle('active', isOpen);
+        
+        if (this.reducedMotion.matches) {
+            answer.style.maxHeight = isOpen ? 'none' : '0px';
+            return;
+        }
+        
+        if (isOpen) {
+            answer.style.maxHeight = `${answer.scrollHeight}px`;
+            
+            // Let the answer grow freely once open, e.g. when the text wraps differently
+            answer.addEventListener('transitionend', () => {
+                if (answer.classList.contains('active')) {
+                    answer.style.maxHeight = 'none';
+                }
+            }, { once: true });
+        } else {
+            // Animate from the current height rather than from "none"
+            answer.style.maxHeight = `${answer.scrollHeight}px`;
+            void answer.offsetHeight;
+            answer.style.maxHeight = '0px';
+        }
+    }
+    
+    /**
+     * Show only the items whose question or answer contains the query
+     * @param {string} query - Search text
+     */
+    filter(query) {
+        const needle = query.trim();
+        let matches = 0;
+        
+        this.faqQuestions.forEach(question => {
+            const item = question.closest('.faq-item');
+            const answer = this.getAnswer(question);
+            const parts = answer ? [question, answer] : [question];
+            
+            parts.forEach(clearHighlights);
+            
+            const text = parts.map(part => part.textContent).join(' ').toLowerCase();
+            const isMatch = needle === '' || text.includes(needle.toLowerCase());
+            
+            item.hidden = !isMatch;
+            if (isMatch) {
+                matches++;
+                if (needle) {
+                    parts.forEach(part => highlightText(part, needle, '.faq-icon'));
+                }
+            }
+        });
+        
+        // Hide category headings with nothing left to show
+        this.container.querySelectorAll('.faq-category').forEach(category => {
+            category.hidden = !category.querySelector('.faq-item:not([hidden])');
+        });
+        
+        this.noResults.hidden = matches > 0;
+    }
+}
+
+// ============================================================================
+// TABBED INTERFACE
+// ============================================================================
+
+/**
+ * Tabbed interface functionality following the WAI-ARIA tabs pattern
+ * Adds tab roles and states, a roving tabindex and arrow/Home/End keys.
+ * In "automatic" mode focusing a tab activates it; in "manual" mode the
+ * focused tab is activated with Enter or Space.
+ * Dispatches a bubbling "tabchange" event on the container when the active tab changes.
+ * The active tab is kept in the URL (?tab=tab3 or #tab3) so it can be linked to.
+ */
+class TabbedInterface extends Component {
+    /**
+     * @param {string|Element} [root] - Tabs container; defaults to .tabs-container
+     * @param {Object} [options]
+     * @param {string} [options.activation] - "automatic" or "manual"; defaults to data-activation or "automatic"
+     * @param {string|null} [options.urlParam] - Query parameter for the active tab, null to disable; defaults to one per tab set id
+     */
+    constructor(root, options = {}) {
+        super(root || '.tabs-container', options);
+        this.container = this.root;
+        this.tabList = this.find('.tabs-nav');
+        this.tabButtons = this.findAll('.tab-btn');
+        this.tabPanels = this.findAll('.tab-panel');
+        this.activation = options.activation || (this.container && this.container.dataset.activation) || 'automatic';
+        this.urlParam = options.urlParam !== undefined ? options.urlParam : this.instanceName('tab', 'tabs');
+        this.init();
+    }
+    
+    init() {
+        this.applyAria();
+        // Shown when the URL says nothing about this tab set
+        this.defaultButton = this.getActiveButton() || this.tabButtons[0] || null;
+        
+        // Add click event listeners to all tab buttons
+        this.tabButtons.forEach(button => {
+            this.listen(button, 'click', () => {
+                this.switchTab(button);
+                this.saveToUrl();
+            });
+        });
+        
+        this.listen(this.tabList, 'keydown', (e) => this.handleKeyboard(e));
+        
+        if (this.urlParam) {
+            this.restoreFromUrl();
+            this.own(onUrlChange(() => this.restoreFromUrl()));
+        }
+    }
+    
+    findButton(panelId) {
+        return this.tabButtons.find(button => button.getAttribute('data-tab') === panelId) || null;
+    }
+    
+    /**
+     * Activate the tab named by the URL hash or query parameter
+     * A hash naming another tab set's panel leaves this one alone
+     */
+    restoreFromUrl() {
+        const hashId = window.location.hash.slice(1);
+        const panelId = this.findButton(hashId) ? hashId : new URLSearchParams(window.location.search).get(this.urlParam);
+        const button = this.findButton(panelId) || this.defaultButton;
+        
+        if (button && button !== this.getActiveButton()) {
+            this.switchTab(button);
+        }
+    }
+    
+    /**
+     * Record the active tab in the URL
+     * @param {boolean} [replace] - Replace the history entry instead of adding one
+     */
+    saveToUrl(replace = false) {
+        const button = this.getActiveButton();
+        if (!this.urlParam || !button) {
+            return;
+        }
+        
+        updateUrl(url => {
+            url.searchParams.set(this.urlParam, button.getAttribute('data-tab'));
+            
+            // The query parameter now describes the state; drop a stale #tabN
+            if (this.findButton(url.hash.slice(1))) {
+                url.hash = '';
+            }
+        }, replace);
+    }
+    
+    /**
+     * Add roles, ids and ARIA relationships to the existing markup
+     */
+    applyAria() {
+        if (this.tabList) {
+            this.tabList.setAttribute('role', 'tablist');
+        }
+        
+        const activeButton = this.tabButtons.find(button => button.classList.contains('active')) || this.tabButtons[0];
+        
+        this.tabButtons.forEach(button => {
+            const panel = this.getPanel(button);
+            const isActive = button === activeButton;
+            
+            button.id = button.id || `${button.getAttribute('data-tab')}-tab`;
+            button.setAttribute('role', 'tab');
+            button.setAttribute('aria-selected', String(isActive));
+            button.setAttribute('tabindex', isActive ? '0' : '-1');
+            
+            if (panel) {
+                button.setAttribute('aria-controls', panel.id);
+                panel.setAttribute('role', 'tabpanel');
+                panel.setAttribute('aria-labelledby', button.id);
+                panel.setAttribute('tabindex', '0');
+            }
+        });
+    }
+    
+    getPanel(button) {
+        const panelId = button.getAttribute('data-tab');
+        return this.tabPanels.find(panel => panel.id === panelId) || null;
+    }
+    
+    getActiveButton() {
+        return this.tabButtons.find(button => button.getAttribute('aria-selected') === 'true') || null;
+    }
+    
+    handleKeyboard(e) {
+        const currentIndex = this.tabButtons.indexOf(document.activeElement);
+        if (currentIndex === -1) {
+            return;
+        }
+        
+        // Arrow keys follow the reading direction
+        const isRtl = getComputedStyle(this.tabList).direction === 'rtl';
+        const lastIndex = this.tabButtons.length - 1;
+        let nextIndex = null;
+        
+        switch(e.key) {
+            case 'ArrowRight':
+                nextIndex = isRtl ? currentIndex - 1 : currentIndex + 1;
+                break;
+            case 'ArrowLeft':
+                nextIndex = isRtl ? currentIndex + 1 : currentIndex - 1;
+                break;
+            case 'Home':
+                nextIndex = 0;
+                break;
+            case 'End':
+                nextIndex = lastIndex;
+                break;
+            default:
+                return;
+        }
+        
+        e.preventDefault();
+        
+        // Wrap around at either end
+        if (nextIndex < 0) {
+            nextIndex = lastIndex;
+        } else if (nextIndex > lastIndex) {
+            nextIndex = 0;
+        }
+        
+        this.focusTab(this.tabButtons[nextIndex]);
+    }
+    
+    /**
+     * Move focus to a tab, activating it in automatic mode
+     * @param {Element} button - Tab button
+     */
+    focusTab(button) {
+        this.tabButtons.forEach(btn => btn.setAttribute('tabindex', btn === button ? '0' : '-1'));
+        button.focus();
+        
+        // Arrow-key browsing replaces the history entry rather than adding one per tab
+        if (this.activation === 'automatic') {
+            this.switchTab(button);
+            this.saveToUrl(true);
+        }
+    }
+    
+    switchTab(clickedButton) {
+        const previousButton = this.getActiveButton();
+        
+        // Remove active state from all buttons and panels
+        this.tabButtons.forEach(btn => {
+            btn.classList.remove('active');
+            btn.setAttribute('aria-selected', 'false');
+            btn.setAttribute('tabindex', '-1');
+        });
+        this.tabPanels.forEach(panel => panel.classList.remove('active'));
+        
+        // Add active state to clicked button and corresponding panel
+        clickedButton.classList.add('active');
+        clickedButton.setAttribute('aria-selected', 'true');
+        clickedButton.setAttribute('tabindex', '0');
+        const targetPanel = this.getPanel(clickedButton);
+        if (targetPanel) {
+            targetPanel.classList.add('active');
+        }
+        
+        if (clickedButton !== previousButton && this.container) {
+            this.publish('tab:changed', {
+                tab: clickedButton.getAttribute('data-tab'),
+                previousTab: previousButton ? previousButton.getAttribute('data-tab') : null
+            });
+            this.container.dispatchEvent(new CustomEvent('tabchange', {
+                bubbles: true,
+                detail: {
+                    tab: clickedButton,
+                    panel: targetPanel,
+                    previousTab: previousButton
+                }
+            }));
+        }
+    }
+}
+
+// ============================================================================
+// PASSWORD STRENGTH
+// ============================================================================
+
+// The password policy and its checks live in validation.js, shared with the server
+const { PASSWORD_POLICY, evaluatePassword } = Validation;
+
+/**
+ * Live strength meter and requirement checklist for a password input
+ * Renders into the field's .password-requirements element when present
+ */
+class PasswordStrengthMeter extends Component {
+    /**
+     * @param {Element} input - Password input
+     * @param {Object} [policy] - Password policy
+     */
+    constructor(input, policy = PASSWORD_POLICY) {
+        super(input);
+        this.input = this.root;
+        this.policy = policy;
+        this.container = this.createContainer();
+        
+        this.init();
+    }
+    
+    init() {
+        this.listen(this.input, 'input', () => this.update());
+        this.own(i18n.onChange(() => this.update()));
+        this.update();
+    }
+    
+    destroy() {
+        super.destroy();
+        this.container.innerHTML = '';
+    }
+    
+    createContainer() {
+        const group = this.input.closest('.form-group');
+        let container = group ? group.querySelector('.password-requirements') : null;
+        
+        if (!container) {
+            container = document.createElement('div');
+            container.className = 'password-requirements';
+            (group || this.input.parentNode).appendChild(container);
+        }
+        
+        container.innerHTML = `
+            <div class="strength-meter" aria-hidden="true"><div class="strength-meter-fill"></div></div>
+            <small class="strength-label" aria-live="polite"></small>
+            <ul class="strength-checklist"></ul>
+        `;
+        
+        return container;
+    }
+    
+    update() {
+        const result = evaluatePassword(this.input.value, this.policy);
+        const isEmpty = this.input.value === '';
+        
+        this.container.dataset.score = isEmpty ? '' : result.score;
+        this.container.querySelector('.strength-label').textContent = isEmpty
+            ? ''
+            : i18n.t('password.strength', { label: i18n.t(result.label) });
+        
+        const checklist = this.container.querySelector('.strength-checklist');
+        checklist.innerHTML = '';
+        result.checks.forEach(check => {
+            const item = document.createElement('li');
+            item.className = check.passed ? 'passed' : '';
+            item.textContent = i18n.t(check.label, check.params);
+            checklist.appendChild(item);
+        });
+    }
+}
+
+// ============================================================================
+// PHONE NUMBERS
+// ============================================================================
+
+// Parsing and validation live in validation.js; this section adds the UI
+const { PHONE_COUNTRIES, getPhoneCountry, formatPhoneNumber, toE164 } = Validation;
+
+/**
+ * Country name in the current language, falling back to the code
+ * @param {string} code - Country code
+ * @returns {string}
+ */
+function getCountryName(code) {
+    try {
+        return new Intl.DisplayNames([i18n.locale], { type: 'region' }).of(code) || code;
+    } catch (error) {
+        return code;
+    }
+}
+
+/**
+ * Country implied by the browser language, e.g. "es-MX" gives "MX"
+ * @param {string} [fallback] - Used when the region is missing or not offered
+ * @returns {string}
+ */
+function detectPhoneCountry(fallback = 'US') {
+    const languages = navigator.languages || [navigator.language];
+    const region = languages
+        .map(language => String(language || '').split('-')[1])
+        .find(code => code && getPhoneCountry(code));
+    return region ? region.toUpperCase() : fallback;
+}
+
+/**
+ * Phone input with a country selector and as-you-type formatting
+ * The <select> is filled with PHONE_COUNTRIES, named in the current language.
+ */
+class PhoneInput extends Component {
+    /**
+     * @param {Element} input - Phone input
+     * @param {Object} [options]
+     * @param {string|Element} [options.country] - Country <select>
+     * @param {string} [options.defaultCountry] - Used when the select has no value; detected from the browser otherwise
+     */
+    constructor(input, options = {}) {
+        super(input, options);
+        this.input = this.root;
+        this.countrySelect = resolveElement(options.country);
+        
+        this.init();
+    }
+    
+    init() {
+        if (this.countrySelect) {
+            const current = this.countrySelect.value;
+            this.defaultCountry = getPhoneCountry(current) ? current : this.options.defaultCountry || detectPhoneCountry();
+            this.renderCountries(this.defaultCountry);
+            this.listen(this.countrySelect, 'change', () => this.reformat());
+            this.own(i18n.onChange(() => this.renderCountries(this.getCountry())));
+        }
+        
+        this.listen(this.input, 'input', () => {
+            // Only reformat at the end of the value so the caret does not jump mid-edit
+            if (this.input.selectionStart === this.input.value.length) {
+                this.reformat();
+            }
+        });
+        this.listen(this.input, 'blur', () => this.reformat());
+    }
+    
+    getCountry() {
+        return this.countrySelect ? this.countrySelect.value : this.options.defaultCountry || detectPhoneCountry();
+    }
+    
+    /**
+     * Fill the select with countries sorted by their name in the current language
+     * @param {string} selected - Country code to select
+     */
+    renderCountries(selected) {
+        const collator = new Intl.Collator(i18n.locale);
+        const countries = PHONE_COUNTRIES
+            .map(country => ({ ...country, name: getCountryName(country.code) }))
+            .sort((a, b) => collator.compare(a.name, b.name));
+        
+        this.countrySelect.innerHTML = '';
+        countries.forEach(country => {
+            const option = document.createElement('option');
+            option.value = country.code;
+            option.textContent = `${country.name} (+${country.dialCode})`;
+            // Keeps the starting country when the form is reset
+            option.defaultSelected = country.code === this.defaultCountry;
+            this.countrySelect.appendChild(option);
+        });
+        
+        this.countrySelect.value = selected;
+        this.countrySelect.setAttribute('aria-label', i18n.t('phone.country'));
+    }
+    
+    reformat() {
+        if (this.input.value) {
+            this.input.value = formatPhoneNumber(this.input.value, this.getCountry());
+        }
+    }
+    
+    /**
+     * The current number in E.164 form
+     * @returns {string}
+     */
+    getE164() {
+        return toE164(this.input.value, this.getCountry());
+    }
+}
+
+// ============================================================================
+// FORM VALIDATION
+// ============================================================================
+
+// The rules themselves are DOM-free and live in validation.js, so the server
+// can check submissions with them too. FormValidator reads values from the
+// form, runs them through the rules and renders the result.
+const { VALIDATION_RULES, VALIDATION_MESSAGES, REGISTRATION_RULES } = Validation;
+
+/**
+ * Emails treated as already registered by the availability check below
+ */
+const REGISTERED_EMAILS = ['admin@example.com', 'test@example.com'];
+
+/**
+ * In-memory stand-in for a server-side "is this email taken?" lookup
+ * Resolves after a short delay and rejects with an AbortError when cancelled
+ * @param {string} email - Email to check
+ * @param {Object} context - Async rule context
+ * @param {AbortSignal} context.signal - Aborted when the value changes
+ * @returns {Promise<boolean>} - True when the email is still available
+ */
+function checkEmailAvailability(email, { signal }) {
+    return new Promise((resolve, reject) => {
+        const timer = setTimeout(() => {
+            resolve(!REGISTERED_EMAILS.includes(email.toLowerCase()));
+        }, 300);
+        
+        signal.addEventListener('abort', () => {
+            clearTimeout(timer);
+            reject(new DOMException('Validation cancelled', 'AbortError'));
+        });
+    });
+}
+
+/**
+ * Validation schema for the registration form
+ * The shared REGISTRATION_RULES from validation.js, plus what only the
+ * browser does: the email availability check and the strength meter
+ */
+const REGISTRATION_SCHEMA = {
+    ...REGISTRATION_RULES,
+    email: {
+        ...REGISTRATION_RULES.email,
+        rules: [
+            ...REGISTRATION_RULES.email.rules,
+            { type: 'async', validate: checkEmailAvailability, message: 'registration.emailTaken' }
+        ]
+    },
+    password: {
+        ...REGISTRATION_RULES.password,
+        strengthMeter: PASSWORD_POLICY
+    }
+};
+
+/**
+ * Fields for one phone number in a repeatable group
+ * @param {string} key - Suffix that keeps this item's field names unique
+ * @returns {Object} - Schema for the item's country and number
+ */
+function createPhoneFields(key) {
+    const country = `phoneCountry${key}`;
+    
+    return {
+        [country]: {
+            // The review step shows the number in E.164, which already includes the country
+            review: false,
+            showSuccess: false,
+            rules: []
+        },
+        [`phone${key}`]: {
+            // Phone is optional, so it is only checked against its country when filled in
+            phoneInput: { country },
+            dependsOn: [country],
+            normalize: (value, validator) => toE164(value, validator.getValue(country)),
+            rules: [
+                { type: 'phone', value: country, message: 'registration.phoneInvalid' }
+            ]
+        }
+    };
+}
+
+/**
+ * Repeatable groups of the registration form, keyed by their data-repeat name
+ */
+const REGISTRATION_GROUPS = {
+    phones: {
+        fields: createPhoneFields,
+        max: 3,
+        // Sent as a list of E.164 numbers, leaving out empty items
+        serializeItem: (values) => values.phone || null
+    }
+};
+
+/**
+ * Comprehensive form validation driven by a declarative schema
+ * The schema can be passed in directly or read from data-rule-* attributes,
+ * e.g. <input name="nick" data-rule-required data-rule-min-length="3" data-msg-min-length="Too short">
+ *
+ * A field with strengthMeter: <policy> also gets a live PasswordStrengthMeter,
+ * and one with phoneInput: { country: <field> } a PhoneInput. A field is
+ * checked again when a field it lists in dependsOn changes, and normalize
+ * converts its value before it is sent. A field with visibleWhen: (context)
+ * => boolean is hidden along with its .form-group while the function returns
+ * false, and is then neither validated nor sent. Fields can also be added
+ * and removed later with addFields() and removeField(), which is how
+ * RepeatableGroup items join the form.
+ *
+ * Rules with type "async" return a promise and run after the synchronous
+ * rules pass. They are debounced on input, cancelled when the value changes,
+ * and awaited before the form is submitted.
+ *
+ * Every field keeps a state (see getFieldState()). Fields are checked as
+ * the user types so the form always knows whether it is valid, but a
+ * field's error is only shown once it has been touched (blurred) or the
+ * user has tried to submit, and is hidden again while they edit it.
+ */
+class FormValidator extends Component {
+    /**
+     * @param {string|Element} [root] - Form element; defaults to #registrationForm
+     * @param {Object} [options]
+     * @param {Object} [options.schema] - Field schema; read from data-rule-* attributes when omitted
+     * @param {string|Element} [options.formError] - Element for errors not tied to a field; defaults to .form-error in the form
+     * @param {FormSubmitter|Object} [options.submitter] - Submitter instance or FormSubmitter options
+     * @param {number} [options.successDuration] - Milliseconds the success notification stays, 0 to keep it until dismissed
+     * @param {string|Element} [options.success] - Inline success message used when notifications are unavailable; defaults to a .success-message next to the form
+     * @param {Object} [options.draft] - FormDraft options; drafts are only saved when given
+     * @param {boolean} [options.queueOffline] - Hold submissions made while offline and send them when back online
+     * @param {string|Element} [options.errorSummary] - Error summary block; defaults to .error-summary in the form, created when missing
+     * @param {Object} [options.groups] - RepeatableGroup options keyed by the data-repeat name of their element
+     * @param {boolean|Object} [options.wizard] - Show the form's .form-step elements one at a time; FormWizard options
+     */
+    constructor(root, options = {}) {
+        super(root || '#registrationForm', options);
+        this.form = this.root;
+        this.formError = resolveElement(options.formError) || this.find('.form-error');
+        this.formSuccess = resolveElement(options.success)
+            || (this.form && this.form.parentElement ? this.form.parentElement.querySelector('.success-message') : null);
+        this.errorSummary = resolveElement(options.errorSummary) || this.find('.error-summary');
+        this.ownsErrorSummary = false;
+        this.submitButton = this.find('[type="submit"]');
+        // Copied so fields added later do not leak into a shared schema
+        this.schema = { ...(options.schema || FormValidator.schemaFromAttributes(this.form)) };
+        this.submitter = options.submitter instanceof FormSubmitter
+            ? options.submitter
+            : new FormSubmitter({
+                endpoint: this.form ? this.form.getAttribute('action') : undefined,
+                ...options.submitter
+            });
+        this.successDuration = options.successDuration !== undefined ? options.successDuration : 5000;
+        this.queueOffline = Boolean(options.queueOffline);
+        this.isSubmitting = false;
+        this.fields = {};
+        this.errorElements = {};
+        this.asyncChecks = {};
+        this.debounceTimers = {};
+        this.errorState = {};
+        this.fieldStates = {};
+        this.stateListeners = [];
+        this.submitAttempted = false;
+        this.formErrorState = null;
+        this.fieldHelpers = {};
+        this.fieldDisposers = {};
+        this.groups = {};
+        this.draft = null;
+        this.wizard = null;
+        
+        Object.keys(this.schema).forEach(fieldName => this.resolveField(fieldName));
+        Object.keys(this.schema).forEach(fieldName => this.setupFieldHelpers(fieldName));
+        
+        this.init();
+    }
+    
+    /**
+     * Register a reusable rule type for schemas and data-rule-* attributes
+     * @param {string} type - Rule name (camelCase)
+     * @param {Function} test - (value, param, context) => boolean
+     * @param {string} [message] - Default error message or message key
+     */
+    static registerRule(type, test, message) {
+        VALIDATION_RULES[type] = test;
+        if (message) {
+            VALIDATION_MESSAGES[type] = message;
+        }
+    }
+    
+    /**
+     * Build a schema from data-rule-* and data-msg-* attributes on form controls
+     * @param {Element} form - Form element
+     * @returns {Object} - Schema keyed by field name
+     */
+    static schemaFromAttributes(form) {
+        const schema = {};
+        if (!form) {
+            return schema;
+        }
+        
+        Array.from(form.elements).forEach(element => {
+            if (!element.name) {
+                return;
+            }
+            
+            const rules = Object.keys(element.dataset)
+                .filter(key => /^rule[A-Z]/.test(key))
+                .map(key => {
+                    const suffix = key.slice(4);
+                    return {
+                        type: suffix.charAt(0).toLowerCase() + suffix.slice(1),
+                        value: element.dataset[key],
+                        message: element.dataset[`msg${suffix}`]
+                    };
+                })
+                // Always check "required" first so empty fields get the right message
+                .sort((a, b) => (b.type === 'required') - (a.type === 'required'));
+            
+            if (rules.length > 0) {
+                schema[element.name] = { rules };
+            }
+        });
+        
+        return schema;
+    }
+    
+    /**
+     * Find a schema field and its error element inside the form
+     * @param {string} fieldName - Schema field name
+     */
+    resolveField(fieldName) {
+        const config = this.schema[fieldName];
+        this.fields[fieldName] = this.find(config.selector || `[name="${fieldName}"]`);
+        this.errorElements[fieldName] = this.find(config.errorSelector || `#${fieldName}Error`);
+        this.fieldHelpers[fieldName] = [];
+        this.fieldDisposers[fieldName] = [];
+    }
+    
+    /**
+     * Attach the strength meter or phone input a field asks for
+     * Runs after every field is resolved, since a phone input needs its country field
+     * @param {string} fieldName - Schema field name
+     */
+    setupFieldHelpers(fieldName) {
+        const config = this.schema[fieldName];
+        const field = this.fields[fieldName];
+        if (!field) {
+            return;
+        }
+        
+        if (config.strengthMeter) {
+            this.fieldHelpers[fieldName].push(new PasswordStrengthMeter(field, config.strengthMeter));
+        }
+        if (config.phoneInput) {
+            this.fieldHelpers[fieldName].push(new PhoneInput(field, {
+                ...config.phoneInput,
+                country: this.fields[config.phoneInput.country]
+            }));
+        }
+    }
+    
+    /**
+     * Add fields to a form that is already running, e.g. a repeated item
+     * They get the same listeners and state as the fields in the schema.
+     * @param {Object} schema - Field configs keyed by field name
+     */
+    addFields(schema) {
+        const fieldNames = Object.keys(schema);
+        
+        fieldNames.forEach(fieldName => {
+            this.schema[fieldName] = schema[fieldName];
+            this.resolveField(fieldName);
+        });
+        fieldNames.forEach(fieldName => {
+            this.setupFieldHelpers(fieldName);
+            this.fieldStates[fieldName] = this.createFieldState(fieldName);
+            this.attachFieldListeners(fieldName);
+        });
+        
+        // Work out validity without showing anything, as for the initial fields
+        fieldNames.forEach(fieldName => this.validateField(fieldName));
+    }
+    
+    /**
+     * Remove a field added with addFields(), with its listeners and state
+     * @param {string} fieldName - Schema field name
+     */
+    removeField(fieldName) {
+        if (!this.schema[fieldName]) {
+            return;
+        }
+        
+        this.cancelAsyncValidation(fieldName);
+        this.clearTimer(this.debounceTimers[fieldName]);
+        
+        const disposers = this.fieldDisposers[fieldName];
+        disposers.forEach(dispose => dispose());
+        this.disposers = this.disposers.filter(dispose => !disposers.includes(dispose));
+        this.fieldHelpers[fieldName].forEach(helper => helper.destroy());
+        
+        [this.schema, this.fields, this.errorElements, this.fieldStates, this.errorState,
+            this.fieldHelpers, this.fieldDisposers, this.debounceTimers].forEach(map => {
+            delete map[fieldName];
+        });
+        
+        this.updateErrorSummary();
+        this.notifyStateChange(fieldName);
+    }
+    
+    /**
+     * Listen on behalf of a field, so removeField() can take the listener off again
+     * @param {string} fieldName - Schema field name
+     * @param {EventTarget} target - Element to listen on
+     * @param {string} type - Event type
+     * @param {Function} handler - Event handler
+     */
+    listenForField(fieldName, target, type, handler) {
+        const dispose = this.listen(target, type, handler);
+        if (dispose) {
+            this.fieldDisposers[fieldName].push(dispose);
+        }
+    }
+    
+    /**
+     * Whether a field is currently part of the form (see visibleWhen)
+     * @param {string} fieldName - Schema field name
+     * @returns {boolean}
+     */
+    isFieldActive(fieldName) {
+        return Validation.isFieldActive(this.schema[fieldName], this);
+    }
+    
+    /**
+     * Whether a field's value may be written to storage: password inputs and
+     * fields with persist: false never are
+     * @param {string} fieldName - Schema field name
+     * @returns {boolean}
+     */
+    isPersistable(fieldName) {
+        const field = this.fields[fieldName];
+        return Boolean(field) && field.type !== 'password' && this.schema[fieldName].persist !== false;
+    }
+    
+    getFieldContainer(fieldName) {
+        const config = this.schema[fieldName];
+        const field = this.fields[fieldName];
+        
+        if (config.container) {
+            return this.find(config.container);
+        }
+        return field ? field.closest('.form-group') : null;
+    }
+    
+    /**
+     * Show or hide fields with visibleWhen; a field that appears starts over
+     * with a fresh state, and a hidden one counts as valid
+     */
+    updateConditionalFields() {
+        Object.keys(this.schema).forEach(fieldName => {
+            if (!this.schema[fieldName].visibleWhen) {
+                return;
+            }
+            
+            const isActive = this.isFieldActive(fieldName);
+            const container = this.getFieldContainer(fieldName);
+            if (!container || container.hidden === !isActive) {
+                return;
+            }
+            
+            container.hidden = !isActive;
+            this.cancelAsyncValidation(fieldName);
+            this.fieldStates[fieldName] = this.createFieldState(fieldName);
+            this.validateField(fieldName);
+        });
+    }
+    
+    init() {
+        // Add form submit event listener
+        this.listen(this.form, 'submit', (e) => this.handleSubmit(e));
+        
+        this.setupErrorSummary();
+        
+        // Add real-time validation for each field
+        Object.keys(this.schema).forEach(fieldName => {
+            this.fieldStates[fieldName] = this.createFieldState(fieldName);
+        });
+        this.addRealTimeValidation();
+        
+        // Repeatable groups add their first items as extra fields
+        Object.keys(this.options.groups || {}).forEach(name => {
+            const root = this.find(`[data-repeat="${name}"]`);
+            if (root) {
+                this.groups[name] = new RepeatableGroup(root, { ...this.options.groups[name], validator: this });
+            }
+        });
+        
+        // Created last so the draft covers the fields groups added
+        this.draft = this.options.draft ? new FormDraft(this, this.options.draft) : null;
+        
+        if (this.options.wizard) {
+            this.wizard = new FormWizard(this, this.options.wizard === true ? {} : this.options.wizard);
+        }
+        
+        // Re-render visible errors in the new language
+        this.own(i18n.onChange(() => this.renderMessages()));
+        
+        if (this.queueOffline) {
+            this.queuedMessageId = `${this.id || 'form'}.queued`;
+            this.listenForQueuedSubmissions();
+        }
+        
+        // Work out validity up front so the submit button reflects it; nothing is shown yet
+        this.updateConditionalFields();
+        this.validateAllFields();
+    }
+    
+    destroy() {
+        if (this.wizard) {
+            this.wizard.destroy();
+        }
+        Object.values(this.groups).forEach(group => group.destroy());
+        Object.keys(this.asyncChecks).forEach(fieldName => this.cancelAsyncValidation(fieldName));
+        Object.values(this.fieldHelpers).forEach(helpers => helpers.forEach(helper => helper.destroy()));
+        if (this.draft) {
+            this.draft.destroy();
+        }
+        if (this.ownsErrorSummary) {
+            this.errorSummary.remove();
+        }
+        super.destroy();
+    }
+    
+    renderMessages() {
+        Object.keys(this.fieldStates).forEach(fieldName => this.renderFieldState(fieldName));
+        
+        if (this.formErrorState) {
+            const { message, params } = this.formErrorState;
+            this.showFormError(message, params);
+        }
+        
+        this.updateErrorSummary();
+    }
+    
+    /**
+     * Create the error summary block at the top of the form when the page
+     * does not provide one, and focus a field when its link is followed
+     */
+    setupErrorSummary() {
+        if (!this.form) {
+            return;
+        }
+        
+        if (!this.errorSummary) {
+            this.errorSummary = document.createElement('div');
+            this.errorSummary.className = 'error-summary';
+            this.errorSummary.hidden = true;
+            this.form.insertBefore(this.errorSummary, this.form.firstChild);
+            this.ownsErrorSummary = true;
+        }
+        
+        this.errorSummary.setAttribute('tabindex', '-1');
+        this.listen(this.errorSummary, 'click', (e) => {
+            const link = e.target.closest('a[data-field]');
+            if (!link) {
+                return;
+            }
+            
+            e.preventDefault();
+            this.focusField(link.dataset.field);
+        });
+    }
+    
+    focusField(fieldName) {
+        const field = this.fields[fieldName];
+        if (this.wizard) {
+            this.wizard.showStepOf(fieldName);
+        }
+        if (field) {
+            field.scrollIntoView({ behavior: 'smooth', block: 'center' });
+            field.focus();
+        }
+    }
+    
+    /**
+     * Visible label text for a field, without the required marker
+     * @param {string} fieldName - Schema field name
+     * @returns {string}
+     */
+    getFieldLabel(fieldName) {
+        const field = this.fields[fieldName];
+        const label = field && field.labels && field.labels[0];
+        const text = label ? label.textContent : (field && field.getAttribute('aria-label')) || fieldName;
+        return text.replace(/\s*\*\s*$/, '').replace(/\s+/g, ' ').trim();
+    }
+    
+    /**
+     * List every failing field as a link in the error summary
+     */
+    renderErrorSummary() {
+        if (!this.errorSummary) {
+            return;
+        }
+        
+        const fieldNames = Object.keys(this.schema).filter(fieldName => this.errorState[fieldName]);
+        this.errorSummary.hidden = fieldNames.length === 0;
+        this.errorSummary.innerHTML = '';
+        
+        if (fieldNames.length === 0) {
+            return;
+        }
+        
+        const title = document.createElement('h3');
+        title.className = 'error-summary-title';
+        title.textContent = i18n.t('form.errorSummary', { count: fieldNames.length });
+        
+        const list = document.createElement('ul');
+        list.className = 'error-summary-list';
+        fieldNames.forEach(fieldName => {
+            const { message, params } = this.errorState[fieldName];
+            const field = this.fields[fieldName];
+            const item = document.createElement('li');
+            const link = document.createElement('a');
+            link.href = field && field.id ? `#${field.id}` : '#';
+            link.dataset.field = fieldName;
+            link.textContent = i18n.t('form.errorSummaryItem', {
+                label: this.getFieldLabel(fieldName),
+                message: i18n.t(message, params)
+            });
+            item.appendChild(link);
+            list.appendChild(item);
+        });
+        
+        this.errorSummary.appendChild(title);
+        this.errorSummary.appendChild(list);
+    }
+    
+    /**
+     * Keep a visible summary in step with the fields as they are corrected
+     */
+    updateErrorSummary() {
+        if (this.errorSummary && !this.errorSummary.hidden) {
+            this.renderErrorSummary();
+        }
+    }
+    
+    hideErrorSummary() {
+        if (this.errorSummary) {
+            this.errorSummary.hidden = true;
+            this.errorSummary.innerHTML = '';
+        }
+    }
+    
+    addRealTimeValidation() {
+        Object.keys(this.schema).forEach(fieldName => this.attachFieldListeners(fieldName));
+    }
+    
+    attachFieldListeners(fieldName) {
+        const config = this.schema[fieldName];
+        const field = this.fields[fieldName];
+        const isToggle = Boolean(field) && (field.type === 'checkbox' || field.tagName === 'SELECT');
+        const validateOn = config.validateOn || (isToggle ? 'change' : 'blur');
+        const clearOn = config.clearOn || (isToggle ? null : 'input');
+        
+        // Keep the field's state current as the value changes
+        this.listenForField(fieldName, field, isToggle ? 'change' : 'input', () => {
+            this.updateConditionalFields();
+            
+            // Fields with async rules wait until the user pauses typing
+            if (this.hasAsyncRules(fieldName)) {
+                this.scheduleValidation(fieldName);
+            } else {
+                this.validateField(fieldName);
+            }
+        });
+        
+        this.listenForField(fieldName, field, validateOn, () => this.touchField(fieldName));
+        if (clearOn) {
+            this.listenForField(fieldName, field, clearOn, () => this.hideFieldError(fieldName));
+        }
+        
+        // Re-check a filled-in field when a field it depends on changes
+        (config.dependsOn || []).forEach(otherField => {
+            this.listenForField(fieldName, this.fields[otherField], 'change', () => {
+                if (this.getValue(fieldName) !== '') {
+                    this.validateField(fieldName);
+                }
+            });
+        });
+    }
+    
+    hasAsyncRules(fieldName) {
+        return (this.schema[fieldName].rules || []).some(rule => rule.type === 'async');
+    }
+    
+    /**
+     * Debounce validation of a field with async rules
+     * @param {string} fieldName - Schema field name
+     */
+    scheduleValidation(fieldName) {
+        const delay = this.schema[fieldName].debounce !== undefined ? this.schema[fieldName].debounce : 400;
+        
+        this.cancelAsyncValidation(fieldName);
+        this.clearTimer(this.debounceTimers[fieldName]);
+        this.debounceTimers[fieldName] = this.setTimer(() => this.validateField(fieldName), delay);
+        
+        // The old result no longer applies to the new value
+        this.updateFieldState(fieldName, { validity: 'unknown', error: null, dirty: this.isFieldDirty(fieldName) });
+    }
+    
+    /**
+     * Fresh state for a field, taking its current value as the initial one
+     * @param {string} fieldName - Schema field name
+     * @returns {Object}
+     */
+    createFieldState(fieldName) {
+        return {
+            initialValue: this.getValue(fieldName),
+            touched: false,
+            dirty: false,
+            validating: false,
+            validity: 'unknown',
+            error: null,
+            showError: false,
+            reported: null
+        };
+    }
+    
+    isFieldDirty(fieldName) {
+        return this.getValue(fieldName) !== this.fieldStates[fieldName].initialValue;
+    }
+    
+    /**
+     * A copy of a field's state
+     * pristine/dirty compare the value with the one the field started with,
+     * touched means the field has been left at least once, and valid/invalid
+     * are both false while the field is unchecked or an async check runs.
+     * @param {string} fieldName - Schema field name
+     * @returns {{pristine: boolean, dirty: boolean, touched: boolean, validating: boolean, valid: boolean, invalid: boolean, error: Object|null}}
+     */
+    getFieldState(fieldName) {
+        const state = this.fieldStates[fieldName];
+        if (!state) {
+            return null;
+        }
+        
+        return {
+            pristine: !state.dirty,
+            dirty: state.dirty,
+            touched: state.touched,
+            validating: state.validating,
+            valid: state.validity === 'valid',
+            invalid: state.validity === 'invalid',
+            error: state.error ? { message: state.error.message, params: state.error.params } : null
+        };
+    }
+    
+    /**
+     * State of the whole form, with every field's state under "fields"
+     * @returns {Object}
+     */
+    getState() {
+        const fields = {};
+        Object.keys(this.fieldStates).forEach(fieldName => {
+            fields[fieldName] = this.getFieldState(fieldName);
+        });
+        const states = Object.values(fields);
+        
+        return {
+            fields,
+            valid: states.every(state => state.valid),
+            invalid: states.some(state => state.invalid),
+            validating: states.some(state => state.validating),
+            pristine: states.every(state => state.pristine),
+            dirty: states.some(state => state.dirty),
+            touched: states.some(state => state.touched),
+            submitting: this.isSubmitting,
+            submitAttempted: this.submitAttempted
+        };
+    }
+    
+    /**
+     * Listen for changes to any field's state
+     * @param {Function} listener - Called with (state, fieldName)
+     * @returns {Function} - Unsubscribe function
+     */
+    onStateChange(listener) {
+        this.stateListeners.push(listener);
+        return () => {
+            this.stateListeners = this.stateListeners.filter(item => item !== listener);
+        };
+    }
+    
+    /**
+     * Change part of a field's state, then re-render it and notify listeners
+     * @param {string} fieldName - Schema field name
+     * @param {Object} changes - State properties to change
+     */
+    updateFieldState(fieldName, changes) {
+        const state = this.fieldStates[fieldName];
+        if (!state) {
+            return;
+        }
+        
+        Object.assign(state, changes);
+        this.renderFieldState(fieldName);
+        this.notifyStateChange(fieldName);
+    }
+    
+    notifyStateChange(fieldName) {
+        const state = this.getState();
+        this.renderSubmitState(state);
+        this.stateListeners.forEach(listener => listener(state, fieldName));
+    }
+    
+    /**
+     * The user has left the field, so its result can be shown from now on
+     * @param {string} fieldName - Schema field name
+     */
+    touchField(fieldName) {
+        this.fieldStates[fieldName].touched = true;
+        this.fieldStates[fieldName].showError = true;
+        this.validateField(fieldName);
+    }
+    
+    /**
+     * Hide a field's error while the user is correcting it
+     * @param {string} fieldName - Schema field name
+     */
+    hideFieldError(fieldName) {
+        if (this.fieldStates[fieldName].showError) {
+            this.updateFieldState(fieldName, { showError: false });
+        }
+    }
+    
+    async handleSubmit(e) {
+        e.preventDefault();
+        
+        if (this.isSubmitting) {
+            return;
+        }
+        
+        // Before the last step, Enter or the submit button moves the wizard on
+        if (this.wizard && !this.wizard.isLastStep()) {
+            this.wizard.next();
+            return;
+        }
+        
+        this.clearFormError();
+        this.hideInlineSuccess();
+        this.submitAttempted = true;
+        
+        const isValid = await this.validateFields(Object.keys(this.schema));
+        
+        if (!isValid) {
+            this.publish('form:invalid', { fields: Object.keys(this.errorState) });
+            this.showFormErrors();
+            return;
+        }
+        
+        this.setSubmitting(true);
+        try {
+            const { queued } = await this.deliver(this.serialize());
+            if (this.draft) {
+                this.draft.clear();
+            }
+            
+            // A queued submission is stored, so the form is free for the next one
+            if (queued) {
+                this.publish('form:queued');
+                this.resetForm();
+                notifications.show({ id: this.queuedMessageId, message: 'submission.queued', duration: 0 });
+            } else {
+                this.publish('form:submitted');
+                this.showFormSuccess();
+            }
+        } catch (error) {
+            this.publish('form:submit-failed', { status: error.status || 0 });
+            this.handleSubmitError(error);
+        } finally {
+            this.setSubmitting(false);
+        }
+    }
+    
+    /**
+     * Submit the data; with queueOffline, a submission that cannot reach the
+     * network while the browser is offline waits in the submission queue
+     * @param {Object} data - Values keyed by field name
+     * @returns {Promise<{queued: boolean, body: Object|null}>} - Whether it was queued, else the parsed JSON response body
+     */
+    async deliver(data) {
+        if (!this.queueOffline) {
+            return { queued: false, body: await this.submitter.submit(data) };
+        }
+        
+        if (navigator.onLine) {
+            try {
+                return { queued: false, body: await this.submitter.submit(data) };
+            } catch (error) {
+                // Only queue when the connection dropped; other failures are reported as usual
+                if (error.status !== 0 || navigator.onLine) {
+                    throw error;
+                }
+            }
+        }
+        
+        // Submissions that carry a password are held in memory only
+        const persist = Object.keys(data).every(fieldName => !this.fields[fieldName] || this.isPersistable(fieldName));
+        await submissionQueue.enqueue(this.submitter, data, { persist });
+        return { queued: true, body: null };
+    }
+    
+    /**
+     * Report the outcome of submissions the queue sent later, including
+     * ones left over from an earlier visit
+     */
+    listenForQueuedSubmissions() {
+        const isOurs = (event) => event.payload.endpoint === this.submitter.endpoint;
+        
+        this.own(bus.subscribe('submission:sent', (event) => {
+            if (isOurs(event)) {
+                notifications.dismiss(this.queuedMessageId);
+                this.publish('form:submitted');
+                this.showFormSuccess(true);
+            }
+        }));
+        this.own(bus.subscribe('submission:failed', (event) => {
+            if (isOurs(event)) {
+                notifications.dismiss(this.queuedMessageId);
+                this.publish('form:submit-failed', { status: event.payload.status });
+                notifications.show({
+                    type: 'error',
+                    message: 'submission.queuedFailed',
+                    params: { status: event.payload.status }
+                });
+            }
+        }));
+    }
+    
+    /**
+     * Collect the values to send, skipping hidden fields and those marked
+     * serialize: false; repeatable groups are sent as a list under their name
+     * @returns {Object} - Field values keyed by name
+     */
+    serialize() {
+        const data = {};
+        
+        Object.keys(this.schema).forEach(fieldName => {
+            const config = this.schema[fieldName];
+            if (config.serialize !== false && !config.group && this.fields[fieldName] && this.isFieldActive(fieldName)) {
+                data[fieldName] = this.serializeField(fieldName);
+            }
+        });
+        
+        Object.keys(this.groups).forEach(name => {
+            data[name] = this.groups[name].serialize();
+        });
+        
+        return data;
+    }
+    
+    /**
+     * A field's value as sent, passed through its normalize function if any
+     * @param {string} fieldName - Schema field name
+     * @returns {string|boolean}
+     */
+    serializeField(fieldName) {
+        const config = this.schema[fieldName];
+        const value = this.getValue(fieldName);
+        return config.normalize ? config.normalize(value, this) : value;
+    }
+    
+    /**
+     * Show server-side errors on their fields, or in the form error area
+     * Each error is a message, or { message, params } as produced by
+     * Validation.validate()
+     * @param {Error} error - Error thrown by the submitter
+     */
+    handleSubmitError(error) {
+        const fieldErrors = error.fieldErrors || {};
+        const unmatched = [];
+        
+        Object.keys(fieldErrors).forEach(fieldName => {
+            const fieldError = fieldErrors[fieldName];
+            const { message, params = {} } = typeof fieldError === 'string' ? { message: fieldError } : fieldError;
+            
+            if (this.fields[fieldName]) {
+                this.showError(fieldName, message, params);
+            } else {
+                unmatched.push(i18n.t(message, params));
+            }
+        });
+        
+        if (Object.keys(fieldErrors).length === 0 || unmatched.length > 0) {
+            this.showFormError(unmatched.length > 0
+                ? unmatched.join(' ')
+                : error.message || 'form.genericError', { status: error.status });
+        }
+        
+        this.showFormErrors();
+    }
+    
+    setSubmitting(isSubmitting) {
+        this.isSubmitting = isSubmitting;
+        
+        if (!this.submitButton) {
+            return;
+        }
+        
+        if (isSubmitting) {
+            this.submitButton.dataset.label = this.submitButton.textContent;
+            this.submitButton.textContent = i18n.t('form.submitting');
+        } else if (this.submitButton.dataset.label) {
+            this.submitButton.textContent = this.submitButton.dataset.label;
+        }
+        
+        this.submitButton.disabled = isSubmitting;
+        this.submitButton.classList.toggle('loading', isSubmitting);
+        this.submitButton.setAttribute('aria-busy', String(isSubmitting));
+    }
+    
+    /**
+     * Reflect overall validity on the form and its submit button
+     * The button stays enabled: pressing it is how untouched errors get shown.
+     * @param {Object} state - Result of getState()
+     */
+    renderSubmitState(state) {
+        if (this.form) {
+            this.form.dataset.valid = String(state.valid);
+        }
+        if (this.submitButton) {
+            this.submitButton.classList.toggle('is-incomplete', !state.valid);
+        }
+    }
+    
+    /**
+     * Show a message that is not tied to a field
+     * @param {string} message - Message key or literal message
+     * @param {Object} [params] - Message parameters
+     */
+    showFormError(message, params = {}) {
+        this.formErrorState = { message, params };
+        if (this.formError) {
+            this.formError.textContent = i18n.t(message, params);
+        }
+    }
+    
+    clearFormError() {
+        this.formErrorState = null;
+        if (this.formError) {
+            this.formError.textContent = '';
+        }
+    }
+    
+    /**
+     * Validate fields
+     * @param {string[]} [fieldNames] - Fields to check; all of them by default
+     * @returns {boolean} - False if a field failed; async checks may still be running
+     */
+    validateAllFields(fieldNames = Object.keys(this.schema)) {
+        const validations = fieldNames.map(fieldName => this.validateField(fieldName));
+        
+        return validations.every(validation => validation === true);
+    }
+    
+    /**
+     * Validate fields and show their errors even if they were never touched,
+     * then wait for any async checks still in flight
+     * @param {string[]} fieldNames - Fields to check
+     * @returns {Promise<boolean>} - Whether all of them passed
+     */
+    async validateFields(fieldNames) {
+        fieldNames.forEach(fieldName => {
+            this.fieldStates[fieldName].showError = true;
+        });
+        
+        return this.validateAllFields(fieldNames) && await this.waitForAsyncValidation();
+    }
+    
+    /**
+     * Read a field's current value: checkboxes give a boolean, text is
+     * trimmed unless it is a password or the schema sets trim: false
+     * @param {string} fieldName - Schema field name
+     * @returns {string|boolean}
+     */
+    getValue(fieldName) {
+        const field = this.fields[fieldName];
+        const config = this.schema[fieldName] || {};
+        
+        if (!field) {
+            return '';
+        }
+        
+        if (field.type === 'checkbox') {
+            return field.checked;
+        }
+        
+        const shouldTrim = config.trim !== undefined ? config.trim : field.type !== 'password';
+        return shouldTrim ? field.value.trim() : field.value;
+    }
+    
+    /**
+     * Run a field's rules in order and display the first failure
+     * @param {string} fieldName - Schema field name
+     * @returns {boolean} - Whether the field is valid
+     */
+    validateField(fieldName) {
+        const config = this.schema[fieldName];
+        const asyncRules = (config.rules || []).filter(rule => rule.type === 'async');
+        const value = this.getValue(fieldName);
+        
+        this.clearTimer(this.debounceTimers[fieldName]);
+        this.fieldStates[fieldName].dirty = this.isFieldDirty(fieldName);
+        
+        // Hidden fields are left out of the form
+        if (!this.isFieldActive(fieldName)) {
+            this.cancelAsyncValidation(fieldName);
+            this.updateFieldState(fieldName, { validity: 'valid', error: null });
+            return true;
+        }
+        
+        // Optional fields are valid while empty
+        if (Validation.isEmptyOptional(config, value)) {
+            this.cancelAsyncValidation(fieldName);
+            this.markValid(fieldName);
+            return true;
+        }
+        
+        const failedRule = Validation.findFailedRule(config, value, this);
+        if (failedRule) {
+            this.cancelAsyncValidation(fieldName);
+            this.showRuleError(fieldName, failedRule);
+            return false;
+        }
+        
+        // Async rules report their result later; waitForAsyncValidation() collects it
+        if (asyncRules.length > 0) {
+            this.runAsyncValidation(fieldName, value, asyncRules);
+            return true;
+        }
+        
+        this.markValid(fieldName);
+        return true;
+    }
+    
+    markValid(fieldName) {
+        this.reportResult(fieldName, true, null);
+        this.updateFieldState(fieldName, { validity: 'valid', error: null });
+    }
+    
+    /**
+     * Publish a field's result once the user can see it, and only when it changed
+     * @param {string} fieldName - Schema field name
+     * @param {boolean} valid - Whether the field passed
+     * @param {string|null} rule - Failed rule type
+     */
+    reportResult(fieldName, valid, rule) {
+        const state = this.fieldStates[fieldName];
+        const key = valid ? 'valid' : `invalid:${rule}`;
+        
+        if (state.showError && state.reported !== key) {
+            state.reported = key;
+            this.publish('form:field-validated', { field: fieldName, valid, rule });
+        }
+    }
+    
+    /**
+     * Run a field's async rules in order, dropping the result if the value
+     * changes before they finish. A check for an unchanged value is reused.
+     * @param {string} fieldName - Schema field name
+     * @param {string|boolean} value - Value the rules are checked against
+     * @param {Array<Object>} rules - Async rules
+     */
+    runAsyncValidation(fieldName, value, rules) {
+        const existing = this.asyncChecks[fieldName];
+        if (existing && existing.value === value) {
+            return;
+        }
+        
+        this.cancelAsyncValidation(fieldName);
+        
+        const controller = new AbortController();
+        const check = { value, controller };
+        this.asyncChecks[fieldName] = check;
+        this.setChecking(fieldName, true);
+        
+        check.promise = (async () => {
+            for (const rule of rules) {
+                try {
+                    const passed = await rule.validate(value, { signal: controller.signal, validator: this });
+                    if (!passed) {
+                        return rule;
+                    }
+                } catch (error) {
+                    if (error.name === 'AbortError') {
+                        return null;
+                    }
+                    return { message: rule.errorMessage || 'validation.asyncFailed' };
+                }
+            }
+            return null;
+        })().then(failedRule => {
+            // Ignore results for a value the user has already changed
+            if (controller.signal.aborted || this.asyncChecks[fieldName] !== check) {
+                return false;
+            }
+            
+            this.setChecking(fieldName, false);
+            if (failedRule) {
+                this.showRuleError(fieldName, failedRule);
+                return false;
+            }
+            
+            this.markValid(fieldName);
+            return true;
+        });
+    }
+    
+    cancelAsyncValidation(fieldName) {
+        const check = this.asyncChecks[fieldName];
+        if (check) {
+            check.controller.abort();
+            delete this.asyncChecks[fieldName];
+        }
+        this.setChecking(fieldName, false);
+    }
+    
+    /**
+     * Wait until every async check has settled for the current values
+     * @returns {Promise<boolean>} - Whether all async checks passed
+     */
+    async waitForAsyncValidation() {
+        const checks = Object.values(this.asyncChecks);
+        const results = await Promise.all(checks.map(check => check.promise));
+        
+        // A value may have changed while waiting, which starts a newer check
+        const current = Object.values(this.asyncChecks);
+        if (current.length !== checks.length || current.some(check => !checks.includes(check))) {
+            return this.waitForAsyncValidation();
+        }
+        
+        return results.every(result => result === true);
+    }
+    
+    /**
+     * Show or hide the "Checking…" status next to a field's error message
+     * @param {string} fieldName - Schema field name
+     * @param {boolean} isChecking - Whether an async check is running
+     */
+    setChecking(fieldName, isChecking) {
+        const field = this.fields[fieldName];
+        const errorElement = this.errorElements[fieldName];
+        let status = errorElement ? errorElement.nextElementSibling : null;
+        const hasStatus = Boolean(status && status.classList.contains('checking-message'));
+        
+        if (field) {
+            field.classList.toggle('validating', isChecking);
+        }
+        
+        if (this.fieldStates[fieldName] && this.fieldStates[fieldName].validating !== isChecking) {
+            this.fieldStates[fieldName].validating = isChecking;
+            this.notifyStateChange(fieldName);
+        }
+        
+        if (!errorElement || (!isChecking && !hasStatus)) {
+            return;
+        }
+        
+        if (!hasStatus) {
+            status = document.createElement('span');
+            status.className = 'checking-message';
+            status.setAttribute('aria-live', 'polite');
+            errorElement.insertAdjacentElement('afterend', status);
+        }
+        
+        status.textContent = isChecking ? i18n.t('validation.checking') : '';
+    }
+    
+    showRuleError(fieldName, rule) {
+        this.reportResult(fieldName, false, rule.type || 'async');
+        
+        this.updateFieldState(fieldName, { validity: 'invalid', error: Validation.getRuleError(rule) });
+    }
+    
+    /**
+     * Show an error on a field straight away, e.g. one reported by the server
+     * @param {string} fieldName - Schema field name
+     * @param {string} message - Message key or literal message
+     * @param {Object} [params] - Message parameters
+     */
+    showError(fieldName, message, params = {}) {
+        this.updateFieldState(fieldName, { validity: 'invalid', error: { message, params }, showError: true });
+    }
+    
+    /**
+     * Forget a field's result until it is checked again
+     * @param {string} fieldName - Schema field name
+     */
+    clearError(fieldName) {
+        this.updateFieldState(fieldName, { validity: 'unknown', error: null });
+    }
+    
+    /**
+     * Render a field from its state: the error once it may be shown, and the
+     * success style for a touched, filled-in valid field
+     * @param {string} fieldName - Schema field name
+     */
+    renderFieldState(fieldName) {
+        const state = this.fieldStates[fieldName];
+        const field = this.fields[fieldName];
+        const errorElement = this.errorElements[fieldName];
+        const value = this.getValue(fieldName);
+        const hasError = Boolean(state.error) && state.showError;
+        const hasSuccess = !hasError
+            && state.validity === 'valid'
+            && state.touched
+            && value !== ''
+            && value !== false
+            && this.schema[fieldName].showSuccess !== false;
+        
+        if (hasError) {
+            this.errorState[fieldName] = state.error;
+        } else {
+            delete this.errorState[fieldName];
+        }
+        
+        if (field) {
+            field.classList.toggle('error', hasError);
+            field.classList.toggle('success', hasSuccess);
+            if (hasError) {
+                field.setAttribute('aria-invalid', 'true');
+            } else {
+                field.removeAttribute('aria-invalid');
+            }
+            if (errorElement) {
+                toggleIdReference(field, 'aria-describedby', errorElement.id, hasError);
+            }
+        }
+        
         if (errorElement) {
-            errorElement.textContent = '';
+            errorElement.textContent = hasError ? i18n.t(state.error.message, state.error.params) : '';
+        }
+        
+        this.updateErrorSummary();
+    }
+    
+    showFormErrors() {
+        const count = Object.keys(this.errorState).length;
+        if (this.wizard) {
+            this.wizard.showFirstInvalidStep();
+        }
+        this.renderErrorSummary();
+        
+        // Errors not tied to a field are already read out by the role="alert" area
+        if (count > 0) {
+            announcer.announce(i18n.t('form.errorSummary', { count }));
+        }
+        
+        // Move focus to the summary so its links are the next thing read out
+        if (this.errorSummary && !this.errorSummary.hidden) {
+            this.errorSummary.scrollIntoView({ behavior: 'smooth', block: 'start' });
+            this.errorSummary.focus();
+            return;
+        }
+        
+        // Scroll to first error field
+        const firstErrorField = this.find('.error');
+        if (firstErrorField) {
+            firstErrorField.scrollIntoView({ behavior: 'smooth', block: 'center' });
+            firstErrorField.focus();
+        }
+    }
+    
+    /**
+     * Confirm a submission with a notification
+     * @param {boolean} [delayed] - It was sent later from the submission queue;
+     *   the form has moved on, so it is not reset and focus is left alone
+     */
+    showFormSuccess(delayed = false) {
+        // Start over straight away; the notification confirms the submission
+        if (!delayed) {
+            this.resetForm();
+        }
+        
+        // Focus moves to the notification so it is read out, pausing it until the user moves on
+        this.notify({
+            id: `${this.id || 'form'}.success`,
+            type: 'success',
+            title: 'form.successTitle',
+            message: 'form.successMessage',
+            duration: this.successDuration,
+            focus: !delayed
+        }, () => this.showInlineSuccess(!delayed));
+    }
+    
+    /**
+     * Show the inline success message until the next submission
+     * @param {boolean} focus - Move focus to it so it is read out
+     */
+    showInlineSuccess(focus) {
+        if (!this.formSuccess) {
+            return;
+        }
+        
+        const title = this.formSuccess.querySelector('h3');
+        const message = this.formSuccess.querySelector('p');
+        if (title) {
+            title.textContent = i18n.t('form.successTitle');
+        }
+        if (message) {
+            message.textContent = i18n.t('form.successMessage');
+        }
+        
+        this.formSuccess.style.display = 'block';
+        if (focus) {
+            this.formSuccess.scrollIntoView({ behavior: 'smooth', block: 'center' });
+            this.formSuccess.focus();
+        }
+    }
+    
+    hideInlineSuccess() {
+        if (this.formSuccess) {
+            this.formSuccess.style.display = 'none';
+        }
+    }
+    
+    resetForm() {
+        // Reset form fields
+        this.form.reset();
+        
+        // Drop extra repeated items, then start every field over from its reset value
+        Object.values(this.groups).forEach(group => group.reset());
+        if (this.wizard) {
+            this.wizard.reset();
+        }
+        this.submitAttempted = false;
+        Object.keys(this.fieldStates).forEach(fieldName => {
+            this.cancelAsyncValidation(fieldName);
+            this.fieldStates[fieldName] = this.createFieldState(fieldName);
+            this.renderFieldState(fieldName);
+        });
+        
+        // form.reset() fires no input events, so helpers like the strength meter redraw here
+        Object.values(this.fieldHelpers).forEach(helpers => helpers.forEach(helper => {
+            if (typeof helper.update === 'function') {
+                helper.update();
+            }
+        }));
+        this.clearFormError();
+        this.hideErrorSummary();
+        
+        if (this.draft) {
+            this.draft.clear();
+        }
+        
+        this.updateConditionalFields();
+        this.validateAllFields();
+    }
+}
+
+// ============================================================================
+// REPEATABLE FIELD GROUPS
+// ============================================================================
+
+/**
+ * A list of identical field sets with add and remove buttons
+ * The root holds a <template> for one item, a .repeat-items list and a
+ * [data-repeat-add] button; items have a [data-repeat-remove] button.
+ * "{key}" in the template's id, name and for attributes is replaced with
+ * a suffix unique to the item: "" for the first, then "-2", "-3" and so on.
+ */
+class RepeatableGroup extends Component {
+    /**
+     * @param {Element} root - Element with data-repeat="<name>"
+     * @param {Object} options
+     * @param {FormValidator} options.validator - Form the item fields join
+     * @param {Function} options.fields - (key) => schema for one item
+     * @param {number} [options.min] - Items that are always kept, 1 by default
+     * @param {number} [options.max] - Most items allowed; defaults to data-repeat-max
+     * @param {Function} [options.serializeItem] - (values) => value to send for an item, null to leave it out
+     */
+    constructor(root, options = {}) {
+        super(root, options);
+        this.validator = options.validator;
+        this.name = this.root ? this.root.dataset.repeat : null;
+        this.template = this.find('template');
+        this.list = this.find('.repeat-items') || this.root;
+        this.addButton = this.find('[data-repeat-add]');
+        this.min = options.min !== undefined ? options.min : 1;
+        this.max = options.max || Number(this.root && this.root.dataset.repeatMax) || Infinity;
+        this.items = [];
+        this.nextIndex = 1;
+        
+        this.init();
+    }
+    
+    init() {
+        if (!this.template) {
+            return;
+        }
+        
+        this.listen(this.addButton, 'click', () => {
+            const item = this.addItem();
+            const field = item ? item.element.querySelector('input, select') : null;
+            if (field) {
+                field.focus();
+            }
+        });
+        
+        this.listen(this.list, 'click', (e) => {
+            const button = e.target.closest('[data-repeat-remove]');
+            const item = button ? this.items.find(entry => entry.element.contains(button)) : null;
+            if (item) {
+                this.removeItem(item);
+                if (this.addButton) {
+                    this.addButton.focus();
+                }
+            }
+        });
+        
+        this.own(i18n.onChange(() => this.render()));
+        
+        for (let i = 0; i < Math.max(this.min, 1); i++) {
+            this.addItem();
+        }
+    }
+    
+    destroy() {
+        this.items.slice().forEach(item => this.dropItem(item));
+        super.destroy();
+    }
+    
+    /**
+     * Add an item and register its fields with the validator
+     * @returns {Object|null} - The item, or null when the group is full
+     */
+    addItem() {
+        if (this.items.length >= this.max) {
+            return null;
+        }
+        
+        const index = this.nextIndex++;
+        const key = index === 1 ? '' : `-${index}`;
+        const fragment = this.template.content.cloneNode(true);
+        
+        fragment.querySelectorAll('[id], [name], [for]').forEach(element => {
+            ['id', 'name', 'for'].forEach(attribute => {
+                if (element.hasAttribute(attribute)) {
+                    element.setAttribute(attribute, element.getAttribute(attribute).replace(/\{key\}/g, key));
+                }
+            });
+        });
+        
+        const element = fragment.firstElementChild;
+        this.list.appendChild(fragment);
+        
+        const schema = this.options.fields(key);
+        Object.keys(schema).forEach(fieldName => {
+            schema[fieldName] = { ...schema[fieldName], group: this.name };
+        });
+        
+        const item = { key, element, fieldNames: Object.keys(schema) };
+        this.items.push(item);
+        this.validator.addFields(schema);
+        this.render();
+        
+        return item;
+    }
+    
+    /**
+     * Remove an item unless the group is down to its minimum
+     * @param {Object} item - Item returned by addItem()
+     */
+    removeItem(item) {
+        if (this.items.length <= this.min) {
+            return;
+        }
+        
+        this.dropItem(item);
+        this.render();
+    }
+    
+    dropItem(item) {
+        item.fieldNames.forEach(fieldName => this.validator.removeField(fieldName));
+        item.element.remove();
+        this.items = this.items.filter(entry => entry !== item);
+    }
+    
+    /**
+     * Go back to the minimum number of items
+     */
+    reset() {
+        while (this.items.length > Math.max(this.min, 1)) {
+            this.dropItem(this.items[this.items.length - 1]);
+        }
+        this.render();
+    }
+    
+    /**
+     * Update the add/remove buttons and name unlabelled item fields by position
+     */
+    render() {
+        const groupLabel = this.find('label');
+        const labelText = groupLabel ? groupLabel.textContent.replace(/\s*\*\s*$/, '').trim() : this.name;
+        
+        if (this.addButton) {
+            this.addButton.disabled = this.items.length >= this.max;
+        }
+        
+        this.items.forEach((item, index) => {
+            const itemLabel = i18n.t('repeat.itemLabel', { label: labelText, index: index + 1 });
+            
+            item.element.querySelectorAll('input, select').forEach(field => {
+                if (!field.labels || field.labels.length === 0) {
+                    if (!field.hasAttribute('aria-label') || field.dataset.repeatLabel) {
+                        field.setAttribute('aria-label', itemLabel);
+                        field.dataset.repeatLabel = 'true';
+                    }
+                }
+            });
+            
+            item.element.querySelectorAll('[data-repeat-remove]').forEach(button => {
+                button.hidden = this.items.length <= this.min;
+                button.setAttribute('aria-label', i18n.t('repeat.remove', { label: itemLabel }));
+            });
+        });
+    }
+    
+    /**
+     * Values to send for every item, in order
+     * @returns {Array}
+     */
+    serialize() {
+        return this.items
+            .map(item => {
+                const values = {};
+                item.fieldNames.forEach(fieldName => {
+                    const baseName = fieldName.slice(0, fieldName.length - item.key.length);
+                    values[baseName] = this.validator.serializeField(fieldName);
+                });
+                return this.options.serializeItem ? this.options.serializeItem(values) : values;
+            })
+            .filter(value => value !== null && value !== undefined);
+    }
+}
+
+// ============================================================================
+// FORM SUBMISSION
+// ============================================================================
+
+/**
+ * Error thrown when a submission fails
+ * The message is a message key or the server's own message. Carries the HTTP status (0 for network errors) and any per-field errors
+ * returned by the server as { errors: { fieldName: message } }
+ */
+class SubmissionError extends Error {
+    constructor(message, { status = 0, fieldErrors = {}, transient = false } = {}) {
+        super(message);
+        this.name = 'SubmissionError';
+        this.status = status;
+        this.fieldErrors = fieldErrors;
+        this.transient = transient;
+    }
+}
+
+/**
+ * Sends form data to an endpoint as JSON or FormData
+ * Network errors, timeouts and 408/429/5xx responses are retried with
+ * exponential backoff; other failures are thrown as SubmissionError
+ */
+class FormSubmitter {
+    /**
+     * @param {Object} [options]
+     * @param {string} [options.endpoint] - URL to send the data to
+     * @param {string} [options.method] - HTTP method
+     * @param {string} [options.encoding] - "json" or "form-data"
+     * @param {number} [options.retries] - Extra attempts after a transient failure
+     * @param {number} [options.retryDelay] - Delay before the first retry in milliseconds
+     * @param {number} [options.timeout] - Per-attempt timeout in milliseconds
+     */
+    constructor(options = {}) {
+        this.endpoint = options.endpoint || '/api/register';
+        this.method = options.method || 'POST';
+        this.encoding = options.encoding || 'json';
+        this.retries = options.retries !== undefined ? options.retries : 2;
+        this.retryDelay = options.retryDelay !== undefined ? options.retryDelay : 1000;
+        this.timeout = options.timeout || 10000;
+    }
+    
+    /**
+     * Submit data, retrying transient failures
+     * @param {Object} data - Values keyed by field name
+     * @returns {Promise<Object|null>} - Parsed JSON response body, if any
+     */
+    async submit(data) {
+        for (let attempt = 0; ; attempt++) {
+            try {
+                return await this.send(data);
+            } catch (error) {
+                if (!error.transient || attempt >= this.retries) {
+                    throw error;
+                }
+                await new Promise(resolve => setTimeout(resolve, this.retryDelay * 2 ** attempt));
+            }
+        }
+    }
+    
+    async send(data) {
+        const controller = new AbortController();
+        const timer = setTimeout(() => controller.abort(), this.timeout);
+        let response;
+        
+        try {
+            response = await fetch(this.endpoint, {
+                method: this.method,
+                headers: this.encoding === 'json'
+                    ? { 'Content-Type': 'application/json', Accept: 'application/json' }
+                    : { Accept: 'application/json' },
+                body: this.encode(data),
+                signal: controller.signal
+            });
+        } catch (error) {
+            throw new SubmissionError('submission.network', { transient: true });
+        } finally {
+            clearTimeout(timer);
+        }
+        
+        const body = await response.json().catch(() => null);
+        
+        if (!response.ok) {
+            const transient = response.status === 408 || response.status === 429 || response.status >= 500;
+            throw new SubmissionError((body && body.message) || 'submission.failed', {
+                status: response.status,
+                fieldErrors: (body && body.errors) || {},
+                transient
+            });
+        }
+        
+        return body;
+    }
+    
+    /**
+     * Body for fetch(): a JSON string, or FormData where a list (e.g. phones)
+     * is sent as one entry per item under the same name
+     * @param {Object} data - Values keyed by field name
+     * @returns {string|FormData}
+     */
+    encode(data) {
+        if (this.encoding === 'json') {
+            return JSON.stringify(data);
+        }
+        
+        const toEntry = value => (value !== null && typeof value === 'object' ? JSON.stringify(value) : String(value));
+        const formData = new FormData();
+        Object.keys(data).forEach(key => {
+            const values = Array.isArray(data[key]) ? data[key] : [data[key]];
+            values.forEach(value => formData.append(key, toEntry(value)));
+        });
+        return formData;
+    }
+}
+
+// ============================================================================
+// OFFLINE SUPPORT
+// ============================================================================
+
+/**
+ * Holds form submissions made while offline and sends them once the browser
+ * is back online, oldest first
+ * Entries are stored in IndexedDB so they survive a reload or a closed tab,
+ * and are replayed the next time the page loads. Entries queued with
+ * persist: false (e.g. registrations, which carry a password) are kept in
+ * memory only, as are those that could not be stored; while any are waiting,
+ * leaving the page asks to confirm. The outcome is published as
+ * submission:sent or submission:failed.
+ */
+class SubmissionQueue {
+    /**
+     * @param {Object} [options]
+     * @param {number} [options.retryDelay] - Milliseconds before trying again when the server is unreachable while online
+     * @param {string} [options.databaseName] - IndexedDB database the entries are stored in
+     */
+    constructor(options = {}) {
+        this.retryDelay = options.retryDelay || 30000;
+        this.databaseName = options.databaseName || 'submissionQueue';
+        this.entries = [];
+        this.replaying = false;
+        this.retryTimer = null;
+        this.database = null;
+        
+        this.init();
+    }
+    
+    init() {
+        addEvent(window, 'online', () => this.replay());
+        addEvent(window, 'beforeunload', (e) => {
+            if (this.entries.some(entry => !entry.stored)) {
+                e.preventDefault();
+                e.returnValue = '';
+            }
+        });
+        
+        this.ready = this.restore();
+    }
+    
+    openDatabase() {
+        if (!this.database) {
+            this.database = new Promise((resolve, reject) => {
+                if (!window.indexedDB) {
+                    reject(new Error('IndexedDB is not available'));
+                    return;
+                }
+                
+                const request = indexedDB.open(this.databaseName, 1);
+                request.onupgradeneeded = () => {
+                    request.result.createObjectStore('entries', { keyPath: 'id', autoIncrement: true });
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
+        }
+        return this.database;
+    }
+    
+    /**
+     * Run one request against the entries store
+     * @param {string} mode - "readonly" or "readwrite"
+     * @param {Function} operation - (store) => IDBRequest
+     * @returns {Promise<*>} - The request's result once its transaction completes
+     */
+    async request(mode, operation) {
+        const database = await this.openDatabase();
+        
+        return new Promise((resolve, reject) => {
+            const transaction = database.transaction('entries', mode);
+            const request = operation(transaction.objectStore('entries'));
+            transaction.oncomplete = () => resolve(request.result);
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error);
+        });
+    }
+    
+    /**
+     * Load the entries left by an earlier visit and send them when online
+     */
+    async restore() {
+        try {
+            const records = await this.request('readonly', store => store.getAll());
+            records.forEach(record => this.entries.push({
+                ...record,
+                submitter: new FormSubmitter({ endpoint: record.endpoint, method: record.method, encoding: record.encoding }),
+                stored: true
+            }));
+        } catch (error) {
+            console.warn('SubmissionQueue: could not read stored submissions', error);
+        }
+        
+        if (this.entries.length > 0 && navigator.onLine) {
+            this.replay();
+        }
+    }
+    
+    /**
+     * Queue a submission
+     * @param {FormSubmitter} submitter - Submitter that sends the data
+     * @param {Object} data - Values keyed by field name
+     * @param {Object} [options]
+     * @param {boolean} [options.persist=true] - Store the entry in IndexedDB; false keeps it in memory only
+     * @returns {Promise<void>} - Resolves once the entry is queued, not when it is sent
+     */
+    async enqueue(submitter, data, { persist = true } = {}) {
+        await this.ready;
+        
+        const record = {
+            endpoint: submitter.endpoint,
+            method: submitter.method,
+            encoding: submitter.encoding,
+            data,
+            queuedAt: Date.now()
+        };
+        const entry = { ...record, submitter, stored: false };
+        
+        if (persist) {
+            try {
+                entry.id = await this.request('readwrite', store => store.add(record));
+                entry.stored = true;
+            } catch (error) {
+                console.warn('SubmissionQueue: could not store submission, keeping it in memory', error);
+            }
+        }
+        
+        this.entries.push(entry);
+        if (navigator.onLine) {
+            this.replay();
+        }
+    }
+    
+    async remove(entry) {
+        this.entries = this.entries.filter(item => item !== entry);
+        if (!entry.stored) {
+            return;
+        }
+        
+        try {
+            await this.request('readwrite', store => store.delete(entry.id));
+        } catch (error) {
+            console.warn('SubmissionQueue: could not delete sent submission', error);
+        }
+    }
+    
+    /**
+     * Send queued submissions until the queue is empty or the network fails again
+     */
+    async replay() {
+        if (this.replaying) {
+            return;
+        }
+        
+        this.replaying = true;
+        clearTimeout(this.retryTimer);
+        
+        try {
+            while (this.entries.length > 0 && navigator.onLine) {
+                const entry = this.entries[0];
+                let error = null;
+                try {
+                    await entry.submitter.submit(entry.data);
+                } catch (submitError) {
+                    error = submitError;
+                }
+                
+                // Still unreachable: keep the entry for the next attempt
+                if (error && error.status === 0) {
+                    this.retryTimer = setTimeout(() => this.replay(), this.retryDelay);
+                    break;
+                }
+                
+                await this.remove(entry);
+                if (error) {
+                    bus.publish('submission:failed', { endpoint: entry.endpoint, status: error.status });
+                } else {
+                    bus.publish('submission:sent', { endpoint: entry.endpoint });
+                }
+            }
+        } finally {
+            this.replaying = false;
+        }
+    }
+}
+
+// Shared instance used by forms with queueOffline
+const submissionQueue = new SubmissionQueue();
+
+/**
+ * Registers the service worker and shows a notification when a new version
+ * has been installed and is waiting. Choosing Reload activates it and
+ * reloads the page. It has no markup of its own, so it is mounted on <body>.
+ */
+class UpdatePrompt extends Component {
+    /**
+     * @param {string|Element} [root] - Element it is mounted on; defaults to <body>
+     * @param {Object} [options]
+     * @param {string} [options.script] - Service worker URL
+     */
+    constructor(root, options = {}) {
+        super(root || document.body, options);
+        this.script = options.script || 'sw.js';
+        this.messageId = `${this.id || 'update-prompt'}.message`;
+        this.waitingWorker = null;
+        this.reloading = false;
+        
+        this.init();
+    }
+    
+    async init() {
+        if (!('serviceWorker' in navigator)) {
+            return;
+        }
+        
+        this.own(() => this.hide());
+        
+        // Reload once the new worker has taken over, but only when the user asked for it
+        this.listen(navigator.serviceWorker, 'controllerchange', () => {
+            if (this.reloading) {
+                window.location.reload();
+            }
+        });
+        
+        let registration;
+        try {
+            registration = await navigator.serviceWorker.register(this.script);
+        } catch (error) {
+            console.warn('UpdatePrompt: could not register the service worker', error);
+            return;
+        }
+        
+        // The first install has no controller yet and needs no prompt
+        if (registration.waiting && navigator.serviceWorker.controller) {
+            this.show(registration.waiting);
+        }
+        
+        this.listen(registration, 'updatefound', () => {
+            const worker = registration.installing;
+            addEvent(worker, 'statechange', () => {
+                if (worker.state === 'installed' && navigator.serviceWorker.controller) {
+                    this.show(worker);
+                }
+            });
+        });
+    }
+    
+    show(worker) {
+        this.waitingWorker = worker;
+        notifications.show({
+            id: this.messageId,
+            message: 'update.available',
+            duration: 0,
+            actions: [
+                { label: 'update.reload', handler: () => this.applyUpdate() },
+                // Closing is all "Later" does; the waiting worker takes over on the next visit
+                { label: 'update.dismiss', handler: () => {} }
+            ]
+        });
+    }
+    
+    hide() {
+        notifications.dismiss(this.messageId);
+    }
+    
+    applyUpdate() {
+        if (!this.waitingWorker) {
+            return;
+        }
+        
+        this.reloading = true;
+        this.waitingWorker.postMessage({ type: 'SKIP_WAITING' });
+        this.hide();
+    }
+}
+
+// ============================================================================
+// FORM DRAFTS
+// ============================================================================
+
+/**
+ * Autosaves a FormValidator's non-sensitive fields to localStorage and
+ * offers to restore them on the next visit
+ * Password inputs and fields with persist: false in the schema are never saved.
+ * The offer is a notification with Restore and Discard; closing it without
+ * choosing keeps the saved draft until the user types, when autosave resumes.
+ */
+class FormDraft extends Component {
+    /**
+     * @param {FormValidator} validator - Validator whose fields are saved
+     * @param {Object} [options]
+     * @param {string} [options.key] - localStorage key
+     * @param {number} [options.maxAge] - Milliseconds before a saved draft expires
+     * @param {number} [options.saveDelay] - Debounce delay for autosave in milliseconds
+     */
+    constructor(validator, options = {}) {
+        super(validator.form, options);
+        this.validator = validator;
+        this.key = options.key || `formDraft:${validator.form.id}`;
+        this.maxAge = options.maxAge || 24 * 60 * 60 * 1000;
+        this.saveDelay = options.saveDelay !== undefined ? options.saveDelay : 300;
+        this.saveTimer = null;
+        this.promptId = `${this.key}.prompt`;
+        // Nothing is saved while a draft is on offer, so typing cannot overwrite it
+        this.awaitingAnswer = false;
+        
+        this.init();
+    }
+    
+    init() {
+        // Save as the user types or toggles a checkbox
+        this.getFieldNames().forEach(fieldName => {
+            const field = this.validator.fields[fieldName];
+            this.listen(field, field.type === 'checkbox' ? 'change' : 'input', () => this.scheduleSave());
+        });
+        
+        const draft = this.load();
+        if (draft) {
+            this.awaitingAnswer = true;
+            this.showPrompt(draft);
+            // The date is formatted for the current language
+            this.own(i18n.onChange(() => {
+                if (notifications.has(this.promptId)) {
+                    this.showPrompt(draft);
+                }
+            }));
+        }
+    }
+    
+    destroy() {
+        super.destroy();
+        this.hidePrompt();
+    }
+    
+    getFieldNames() {
+        return Object.keys(this.validator.schema).filter(fieldName => this.validator.isPersistable(fieldName));
+    }
+    
+    scheduleSave() {
+        if (this.awaitingAnswer) {
+            return;
+        }
+        
+        this.clearTimer(this.saveTimer);
+        this.saveTimer = this.setTimer(() => this.save(), this.saveDelay);
+    }
+    
+    save() {
+        const values = {};
+        this.getFieldNames().forEach(fieldName => {
+            const field = this.validator.fields[fieldName];
+            values[fieldName] = field.type === 'checkbox' ? field.checked : field.value;
+        });
+        
+        try {
+            localStorage.setItem(this.key, JSON.stringify({ savedAt: Date.now(), values }));
+        } catch (error) {
+            console.warn('FormDraft: could not save draft', error);
+        }
+    }
+    
+    /**
+     * Read the saved draft, discarding it if it is expired or unreadable
+     * @returns {{savedAt: number, values: Object}|null}
+     */
+    load() {
+        let draft = null;
+        try {
+            draft = JSON.parse(localStorage.getItem(this.key));
+        } catch (error) {
+            draft = null;
+        }
+        
+        // Drafts without a save time cannot be aged, so they count as expired
+        if (!draft || !draft.values || typeof draft.savedAt !== 'number' || Date.now() - draft.savedAt > this.maxAge) {
+            this.clear();
+            return null;
+        }
+        
+        return draft;
+    }
+    
+    restore(draft) {
+        this.getFieldNames().forEach(fieldName => {
+            const field = this.validator.fields[fieldName];
+            if (!(fieldName in draft.values)) {
+                return;
+            }
+            
+            if (field.type === 'checkbox') {
+                field.checked = Boolean(draft.values[fieldName]);
+            } else {
+                field.value = draft.values[fieldName];
+            }
+        });
+        
+        // Show the fields the restored values call for, then bring the
+        // validator's field states up to date with them
+        this.validator.updateConditionalFields();
+        this.validator.validateAllFields();
+        this.hidePrompt();
+        this.awaitingAnswer = false;
+        this.scheduleSave();
+    }
+    
+    clear() {
+        this.clearTimer(this.saveTimer);
+        this.hidePrompt();
+        this.awaitingAnswer = false;
+        
+        try {
+            localStorage.removeItem(this.key);
+        } catch (error) {
+            // Storage unavailable, nothing to clear
         }
     }
     
-    showFormErrors() {
-        // Scroll to first error field
-        const firstErrorField = document.querySelector('.error');
-        if (firstErrorField) {
-            firstErrorField.scrollIntoView({ behavior: 'smooth', block: 'center' });
-            firstErrorField.focus();
+    showPrompt(draft) {
+        const date = new Date(draft.savedAt).toLocaleString(i18n.locale);
+        notifications.show({
+            id: this.promptId,
+            message: 'draft.prompt',
+            params: { date },
+            duration: 0,
+            actions: [
+                { label: 'draft.restore', handler: () => this.restore(draft) },
+                { label: 'draft.discard', handler: () => this.clear() }
+            ],
+            onClose: () => {
+                this.awaitingAnswer = false;
+            }
+        });
+    }
+    
+    hidePrompt() {
+        notifications.dismiss(this.promptId);
+    }
+}
+
+// ============================================================================
+// FORM WIZARD
+// ============================================================================
+
+/**
+ * Shows a form's .form-step elements one at a time
+ * Each step is validated before moving on, and a generated review step
+ * lists the entered values before the form's usual submit. Steps take
+ * their title from data-step-title or their <legend>. Fields are only
+ * hidden, so values are kept when moving between steps.
+ */
+class FormWizard extends Component {
+    /**
+     * @param {FormValidator} validator - Validator of the form to split
+     * @param {Object} [options]
+     * @param {boolean} [options.review] - Add a review step at the end; true by default
+     */
+    constructor(validator, options = {}) {
+        super(validator.form, options);
+        this.validator = validator;
+        this.steps = this.findAll('.form-step');
+        this.current = 0;
+        this.furthest = 0;
+        this.isMoving = false;
+        this.reviewStep = null;
+        this.progress = null;
+        this.nav = null;
+        
+        this.init();
+    }
+    
+    init() {
+        if (this.steps.length === 0) {
+            return;
+        }
+        
+        this.root.classList.add('is-wizard');
+        if (this.options.review !== false) {
+            this.createReviewStep();
+        }
+        this.createProgress();
+        this.createNav();
+        
+        this.own(i18n.onChange(() => {
+            this.render();
+            if (this.isReviewStep(this.current)) {
+                this.renderReview();
+            }
+        }));
+        
+        this.goTo(0, { focus: false });
+    }
+    
+    destroy() {
+        super.destroy();
+        [this.progress, this.nav, this.reviewStep].forEach(element => {
+            if (element) {
+                element.remove();
+            }
+        });
+        this.steps.forEach(step => {
+            step.hidden = false;
+        });
+        if (this.root) {
+            this.root.classList.remove('is-wizard');
+        }
+        if (this.validator.submitButton) {
+            this.validator.submitButton.hidden = false;
         }
     }
     
-    showSuccess() {
-        // Hide form and show success message
-        this.form.style.display = 'none';
-        this.formSuccess.style.display = 'block';
+    createReviewStep() {
+        this.reviewStep = document.createElement('fieldset');
+        this.reviewStep.className = 'form-step form-step-review';
+        this.reviewStep.innerHTML = `
+            <legend class="form-step-title"></legend>
+            <p class="review-intro"></p>
+            <div class="review-summary"></div>
+        `;
         
-        // Scroll to success message
-        this.formSuccess.scrollIntoView({ behavior: 'smooth', block: 'center' });
+        const lastStep = this.steps[this.steps.length - 1];
+        lastStep.insertAdjacentElement('afterend', this.reviewStep);
+        this.steps.push(this.reviewStep);
         
-        // Reset form after 5 seconds
-        setTimeout(() => {
-            this.resetForm();
-        }, 5000);
+        this.listen(this.reviewStep, 'click', (e) => {
+            const button = e.target.closest('[data-review-step]');
+            if (button) {
+                this.goTo(Number(button.dataset.reviewStep));
+            }
+        });
     }
     
-    resetForm() {
-        // Reset form fields
-        this.form.reset();
+    createProgress() {
+        this.progress = document.createElement('div');
+        this.progress.className = 'wizard-progress';
+        this.progress.innerHTML = `
+            <div class="wizard-progress-track" role="progressbar" aria-valuemin="1">
+                <div class="wizard-progress-bar"></div>
+            </div>
+            <ol class="wizard-steps"></ol>
+        `;
+        this.root.insertBefore(this.progress, this.steps[0]);
+        
+        this.listen(this.progress, 'click', (e) => {
+            const button = e.target.closest('[data-step-index]');
+            if (button) {
+                this.jumpTo(Number(button.dataset.stepIndex));
+            }
+        });
+    }
+    
+    createNav() {
+        this.nav = document.createElement('div');
+        this.nav.className = 'wizard-nav';
+        this.nav.innerHTML = `
+            <button type="button" class="btn btn-secondary" data-wizard-action="back"></button>
+            <button type="button" class="btn btn-primary" data-wizard-action="next"></button>
+        `;
+        
+        const submitButton = this.validator.submitButton;
+        if (submitButton) {
+            submitButton.insertAdjacentElement('beforebegin', this.nav);
+        } else {
+            this.root.appendChild(this.nav);
+        }
+        
+        this.listen(this.nav, 'click', (e) => {
+            const button = e.target.closest('[data-wizard-action]');
+            if (!button) {
+                return;
+            }
+            if (button.dataset.wizardAction === 'back') {
+                this.goTo(this.current - 1);
+            } else {
+                this.next();
+            }
+        });
+    }
+    
+    getStepTitle(index) {
+        const step = this.steps[index];
+        if (step === this.reviewStep) {
+            return i18n.t('wizard.review');
+        }
+        
+        const legend = step.querySelector('legend');
+        return step.dataset.stepTitle || (legend ? legend.textContent.trim() : String(index + 1));
+    }
+    
+    isReviewStep(index) {
+        return this.steps[index] === this.reviewStep;
+    }
+    
+    isLastStep() {
+        return this.steps.length === 0 || this.current === this.steps.length - 1;
+    }
+    
+    /**
+     * Fields inside a step, in schema order
+     * @param {number} index - Step index
+     * @returns {string[]}
+     */
+    getStepFieldNames(index) {
+        const step = this.steps[index];
+        return Object.keys(this.validator.schema).filter(fieldName => {
+            const field = this.validator.fields[fieldName];
+            return Boolean(field) && step.contains(field);
+        });
+    }
+    
+    getStepOf(fieldName) {
+        const field = this.validator.fields[fieldName];
+        return field ? this.steps.findIndex(step => step.contains(field)) : -1;
+    }
+    
+    /**
+     * Show a step without validating anything
+     * @param {number} index - Step index
+     * @param {Object} [options]
+     * @param {boolean} [options.focus] - Move focus to the step and announce it; true by default
+     */
+    goTo(index, { focus = true } = {}) {
+        if (index < 0 || index >= this.steps.length) {
+            return;
+        }
+        
+        this.current = index;
+        this.furthest = Math.max(this.furthest, index);
+        this.steps.forEach((step, stepIndex) => {
+            step.hidden = stepIndex !== index;
+        });
+        
+        if (this.isReviewStep(index)) {
+            this.renderReview();
+        }
+        this.render();
+        
+        if (focus) {
+            const title = this.steps[index].querySelector('.form-step-title');
+            if (title) {
+                title.setAttribute('tabindex', '-1');
+                title.focus();
+            }
+            announcer.announce(i18n.t('wizard.stepAnnouncement', {
+                step: index + 1,
+                total: this.steps.length,
+                title: this.getStepTitle(index)
+            }));
+        }
+    }
+    
+    /**
+     * Validate a step, showing its errors
+     * @param {number} index - Step index
+     * @returns {Promise<boolean>}
+     */
+    validateStep(index) {
+        return this.validator.validateFields(this.getStepFieldNames(index));
+    }
+    
+    /**
+     * Move to the next step once the current one is valid
+     */
+    async next() {
+        await this.jumpTo(this.current + 1);
+    }
+    
+    /**
+     * Go to a step; going forward checks every step on the way and stops at
+     * the first one with errors. Steps not reached yet cannot be skipped to.
+     * @param {number} index - Step index
+     */
+    async jumpTo(index) {
+        if (this.isMoving || index > Math.max(this.furthest, this.current + 1)) {
+            return;
+        }
+        
+        if (index <= this.current) {
+            this.goTo(index);
+            return;
+        }
+        
+        this.isMoving = true;
+        try {
+            for (let step = this.current; step < index; step++) {
+                if (!await this.validateStep(step)) {
+                    this.goTo(step, { focus: false });
+                    this.validator.showFormErrors();
+                    return;
+                }
+            }
+            this.goTo(index);
+        } finally {
+            this.isMoving = false;
+        }
+    }
+    
+    /**
+     * Show the step containing a field, e.g. before focusing it
+     * @param {string} fieldName - Schema field name
+     */
+    showStepOf(fieldName) {
+        const index = this.getStepOf(fieldName);
+        if (index !== -1 && index !== this.current) {
+            this.goTo(index, { focus: false });
+        }
+    }
+    
+    /**
+     * Show the earliest step with a visible error, if any
+     */
+    showFirstInvalidStep() {
+        const steps = Object.keys(this.validator.errorState)
+            .map(fieldName => this.getStepOf(fieldName))
+            .filter(index => index !== -1);
+        
+        if (steps.length > 0 && Math.min(...steps) !== this.current) {
+            this.goTo(Math.min(...steps), { focus: false });
+        }
+    }
+    
+    reset() {
+        this.furthest = 0;
+        this.goTo(0, { focus: false });
+    }
+    
+    render() {
+        const total = this.steps.length;
+        const track = this.progress.querySelector('.wizard-progress-track');
+        track.setAttribute('aria-valuemax', String(total));
+        track.setAttribute('aria-valuenow', String(this.current + 1));
+        track.setAttribute('aria-valuetext', i18n.t('wizard.progress', { step: this.current + 1, total }));
+        this.progress.querySelector('.wizard-progress-bar').style.width = `${((this.current + 1) / total) * 100}%`;
+        
+        const list = this.progress.querySelector('.wizard-steps');
+        list.innerHTML = '';
+        this.steps.forEach((step, index) => {
+            const item = document.createElement('li');
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = 'wizard-step';
+            button.dataset.stepIndex = String(index);
+            button.textContent = `${index + 1}. ${this.getStepTitle(index)}`;
+            button.disabled = index > this.furthest;
+            button.classList.toggle('completed', index < this.current);
+            if (index === this.current) {
+                button.setAttribute('aria-current', 'step');
+            }
+            item.appendChild(button);
+            list.appendChild(item);
+        });
+        
+        const backButton = this.nav.querySelector('[data-wizard-action="back"]');
+        const nextButton = this.nav.querySelector('[data-wizard-action="next"]');
+        backButton.textContent = i18n.t('wizard.back');
+        nextButton.textContent = i18n.t('wizard.next');
+        backButton.hidden = this.current === 0;
+        nextButton.hidden = this.isLastStep();
+        
+        // The form's own submit button only appears on the last step
+        if (this.validator.submitButton) {
+            this.validator.submitButton.hidden = !this.isLastStep();
+        }
+        
+        if (this.reviewStep) {
+            this.reviewStep.querySelector('.form-step-title').textContent = i18n.t('wizard.review');
+            this.reviewStep.querySelector('.review-intro').textContent = i18n.t('wizard.reviewIntro');
+        }
+    }
+    
+    /**
+     * List every visible field of the earlier steps with its value
+     */
+    renderReview() {
+        const summary = this.reviewStep.querySelector('.review-summary');
+        summary.innerHTML = '';
+        
+        this.steps.forEach((step, index) => {
+            if (step === this.reviewStep) {
+                return;
+            }
+            
+            const section = document.createElement('section');
+            section.className = 'review-section';
+            
+            const header = document.createElement('div');
+            header.className = 'review-section-header';
+            const title = document.createElement('h4');
+            title.textContent = this.getStepTitle(index);
+            const editButton = document.createElement('button');
+            editButton.type = 'button';
+            editButton.className = 'btn btn-secondary review-edit';
+            editButton.dataset.reviewStep = String(index);
+            editButton.textContent = i18n.t('wizard.edit');
+            editButton.setAttribute('aria-label', i18n.t('wizard.editStep', { title: this.getStepTitle(index) }));
+            header.appendChild(title);
+            header.appendChild(editButton);
+            
+            const list = document.createElement('dl');
+            list.className = 'review-list';
+            this.getStepFieldNames(index).forEach(fieldName => {
+                const config = this.validator.schema[fieldName];
+                if (config.review === false || config.serialize === false || !this.validator.isFieldActive(fieldName)) {
+                    return;
+                }
+                
+                const term = document.createElement('dt');
+                term.textContent = this.validator.getFieldLabel(fieldName);
+                const value = document.createElement('dd');
+                value.textContent = this.formatValue(fieldName);
+                list.appendChild(term);
+                list.appendChild(value);
+            });
+            
+            section.appendChild(header);
+            section.appendChild(list);
+            summary.appendChild(section);
+        });
+    }
+    
+    /**
+     * A field's value as shown on the review step; passwords are masked
+     * @param {string} fieldName - Schema field name
+     * @returns {string}
+     */
+    formatValue(fieldName) {
+        const field = this.validator.fields[fieldName];
+        const value = this.validator.serializeField(fieldName);
+        
+        if (field.type === 'checkbox') {
+            return i18n.t(value ? 'wizard.yes' : 'wizard.no');
+        }
+        if (value === '') {
+            return i18n.t('wizard.notProvided');
+        }
+        if (field.type === 'password') {
+            return '•'.repeat(8);
+        }
+        if (field.tagName === 'SELECT' && field.selectedOptions.length > 0) {
+            return field.selectedOptions[0].textContent;
+        }
+        return String(value);
+    }
+}
+
+// ============================================================================
+// ANALYTICS
+// ============================================================================
+
+/**
+ * Default adapter that drops events, used when no endpoint is configured
+ */
+class NoopAdapter {
+    track() {}
+    
+    flush() {}
+    
+    clear() {}
+}
+
+/**
+ * Development adapter that logs events instead of sending them
+ * Enabled with <body data-analytics-debug>
+ */
+class ConsoleAdapter {
+    track(event) {
+        console.log(`[analytics] ${event.type}`, event.payload);
+    }
+    
+    flush() {}
+    
+    clear() {}
+}
+
+/**
+ * Adapter that batches events and sends them with navigator.sendBeacon
+ * A batch is sent when it is full, every flushInterval milliseconds and when
+ * the page is hidden, so events are not lost when the tab closes.
+ */
+class BeaconAdapter {
+    /**
+     * @param {Object} [options]
+     * @param {string} [options.endpoint] - URL events are POSTed to as JSON
+     * @param {number} [options.batchSize] - Events per batch
+     * @param {number} [options.flushInterval] - Milliseconds between flushes
+     */
+    constructor(options = {}) {
+        this.endpoint = options.endpoint || '/api/events';
+        this.batchSize = options.batchSize || 20;
+        this.flushInterval = options.flushInterval || 10000;
+        this.queue = [];
+        this.timer = null;
+        
+        this.init();
+    }
+    
+    init() {
+        addEvent(document, 'visibilitychange', () => {
+            if (document.visibilityState === 'hidden') {
+                this.flush();
+            }
+        });
+        addEvent(window, 'pagehide', () => this.flush());
+    }
+    
+    track(event) {
+        this.queue.push(event);
+        
+        if (this.queue.length >= this.batchSize) {
+            this.flush();
+        } else if (!this.timer) {
+            this.timer = setTimeout(() => this.flush(), this.flushInterval);
+        }
+    }
+    
+    flush() {
+        clearTimeout(this.timer);
+        this.timer = null;
+        
+        if (this.queue.length === 0) {
+            return;
+        }
+        
+        const body = JSON.stringify({ events: this.queue.splice(0) });
+        const sent = navigator.sendBeacon
+            && navigator.sendBeacon(this.endpoint, new Blob([body], { type: 'application/json' }));
+        
+        // Fall back to fetch when beacons are unavailable or the payload was refused
+        if (!sent) {
+            fetch(this.endpoint, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body,
+                keepalive: true
+            }).catch(error => console.warn('BeaconAdapter: could not send events', error));
+        }
+    }
+    
+    clear() {
+        clearTimeout(this.timer);
+        this.timer = null;
+        this.queue = [];
+    }
+}
+
+/**
+ * Forwards bus events to an analytics adapter unless the user opted out
+ * Opting out is stored in localStorage; Do Not Track counts as opting out
+ * until the user chooses otherwise.
+ */
+class Analytics {
+    /**
+     * @param {EventBus} eventBus - Bus to listen to
+     * @param {Object} [options]
+     * @param {Object} [options.adapter] - Adapter with track(event), flush() and clear()
+     * @param {string[]} [options.events] - Event names to track; all when omitted
+     * @param {string} [options.storageKey] - localStorage key for the opt-out choice
+     */
+    constructor(eventBus, options = {}) {
+        this.bus = eventBus;
+        this.adapter = options.adapter || new NoopAdapter();
+        this.events = options.events || null;
+        this.storageKey = options.storageKey || 'analyticsOptOut';
+        this.listeners = [];
         
-        // Clear all error states
-        Object.keys(this.fields).forEach(fieldName => {
-            this.clearError(fieldName);
+        this.init();
+    }
+    
+    init() {
+        this.bus.subscribe('*', (event) => {
+            if (!this.isOptedOut() && (!this.events || this.events.includes(event.type))) {
+                this.adapter.track(event);
+            }
         });
+    }
+    
+    isOptedOut() {
+        const choice = localStorage.getItem(this.storageKey);
+        if (choice !== null) {
+            return choice === 'true';
+        }
+        return navigator.doNotTrack === '1';
+    }
+    
+    /**
+     * Record the user's choice; opting out drops anything not yet sent
+     * @param {boolean} optOut - Whether to stop tracking
+     */
+    setOptOut(optOut) {
+        localStorage.setItem(this.storageKey, String(optOut));
+        if (optOut) {
+            this.adapter.clear();
+        }
+        this.listeners.forEach(listener => listener(optOut));
+    }
+    
+    /**
+     * Subscribe to opt-out changes
+     * @param {Function} listener - Called with the new opt-out state
+     * @returns {Function} - Unsubscribes
+     */
+    onOptOutChange(listener) {
+        this.listeners.push(listener);
+        return () => {
+            this.listeners = this.listeners.filter(item => item !== listener);
+        };
+    }
+}
+
+/**
+ * Checkbox that lets the user opt out of analytics
+ * The translated label goes into a .analytics-opt-out-text element in its <label>
+ */
+class AnalyticsOptOut extends Component {
+    /**
+     * @param {string|Element} [root] - Checkbox; defaults to #analyticsOptOut
+     * @param {Object} [options]
+     */
+    constructor(root, options = {}) {
+        super(root || '#analyticsOptOut', options);
+        this.label = this.root && this.root.closest('label')
+            ? this.root.closest('label').querySelector('.analytics-opt-out-text')
+            : null;
+        this.init();
+    }
+    
+    init() {
+        if (!this.root) {
+            return;
+        }
+        
+        this.applyLabel();
+        this.own(i18n.onChange(() => this.applyLabel()));
         
-        // Show form and hide success message
-        this.form.style.display = 'block';
-        this.formSuccess.style.display = 'none';
+        this.root.checked = analytics.isOptedOut();
+        this.listen(this.root, 'change', () => analytics.setOptOut(this.root.checked));
+        this.own(analytics.onOptOutChange(optOut => {
+            this.root.checked = optOut;
+        }));
+    }
+    
+    applyLabel() {
+        if (this.label) {
+            this.label.textContent = i18n.t('analytics.optOut');
+        }
+    }
+}
+
+/**
+ * Pick the adapter from <body> attributes: events are beaconed to
+ * data-analytics-endpoint="…" when set, logged to the console with
+ * data-analytics-debug, and otherwise dropped
+ * @returns {Object} - Analytics adapter
+ */
+function createAnalyticsAdapter() {
+    const { analyticsEndpoint, analyticsDebug } = document.body.dataset;
+    
+    if (analyticsEndpoint) {
+        return new BeaconAdapter({ endpoint: analyticsEndpoint });
     }
+    return analyticsDebug !== undefined ? new ConsoleAdapter() : new NoopAdapter();
 }
 
+const analytics = new Analytics(bus, { adapter: createAnalyticsAdapter() });
+
 // ============================================================================
 // INITIALIZATION
 // ============================================================================
 
+/**
+ * Creates components from data-component attributes and keeps track of them
+ * Options for each instance come from the type's defaults, then a JSON
+ * data-options attribute on the root, then options passed to mount().
+ * Instances get an id from data-component-id, otherwise the type name for
+ * the first one ("counter") and "type-2", "type-3"… after that.
+ */
+class ComponentRegistry {
+    constructor() {
+        this.types = new Map();
+        this.instances = new Map();
+        this.roots = new WeakMap();
+    }
+    
+    /**
+     * Make a component type available to data-component
+     * @param {string} type - Value used in data-component
+     * @param {Function} ComponentClass - Class taking (root, options)
+     * @param {Object} [defaults] - Default options for every instance
+     */
+    define(type, ComponentClass, defaults = {}) {
+        this.types.set(type, { ComponentClass, defaults });
+    }
+    
+    /**
+     * Create a component on a root element, or return the one already there
+     * @param {string|Element} target - Root element or selector
+     * @param {string} [type] - Component type; defaults to data-component
+     * @param {Object} [options] - Instance options
+     * @returns {Component|null}
+     */
+    mount(target, type, options = {}) {
+        const root = resolveElement(target);
+        if (!root) {
+            return null;
+        }
+        
+        if (this.roots.has(root)) {
+            return this.roots.get(root);
+        }
+        
+        type = type || root.dataset.component;
+        const definition = this.types.get(type);
+        if (!definition) {
+            console.warn(`App: unknown component type "${type}"`);
+            return null;
+        }
+        
+        const id = options.id || root.dataset.componentId || this.nextId(type);
+        let instance;
+        try {
+            instance = new definition.ComponentClass(root, {
+                ...definition.defaults,
+                ...this.readOptions(root),
+                ...options,
+                id
+            });
+        } catch (error) {
+            console.error(`App: could not mount "${type}"`, error);
+            return null;
+        }
+        
+        instance.id = id;
+        instance.type = type;
+        root.dataset.componentId = id;
+        this.instances.set(id, instance);
+        this.roots.set(root, instance);
+        return instance;
+    }
+    
+    /**
+     * Mount every [data-component] element inside a container
+     * @param {Element|Document} [container] - Where to look
+     * @returns {Component[]} - Components now mounted there
+     */
+    mountAll(container = document) {
+        return Array.from(container.querySelectorAll('[data-component]'))
+            .map(root => this.mount(root))
+            .filter(Boolean);
+    }
+    
+    nextId(type) {
+        if (!this.instances.has(type)) {
+            return type;
+        }
+        
+        let index = 2;
+        while (this.instances.has(`${type}-${index}`)) {
+            index++;
+        }
+        return `${type}-${index}`;
+    }
+    
+    readOptions(root) {
+        if (!root.dataset.options) {
+            return {};
+        }
+        
+        try {
+            return JSON.parse(root.dataset.options);
+        } catch (error) {
+            console.warn('App: data-options is not valid JSON', root, error);
+            return {};
+        }
+    }
+    
+    /**
+     * Look up a component by id or root element
+     * @param {string|Element} target - Component id or root element
+     * @returns {Component|null}
+     */
+    get(target) {
+        if (typeof target === 'string') {
+            return this.instances.get(target) || null;
+        }
+        return (target && this.roots.get(target)) || null;
+    }
+    
+    /**
+     * All mounted components, optionally of one type
+     * @param {string} [type] - Component type
+     * @returns {Component[]}
+     */
+    getAll(type) {
+        return Array.from(this.instances.values()).filter(instance => !type || instance.type === type);
+    }
+    
+    /**
+     * Destroy a component and forget it, so its root can be mounted again
+     * @param {string|Element|Component} target - Component, id or root element
+     * @returns {boolean} - Whether a component was destroyed
+     */
+    destroy(target) {
+        const instance = target instanceof Component ? target : this.get(target);
+        if (!instance) {
+            return false;
+        }
+        
+        instance.destroy();
+        this.instances.delete(instance.id);
+        this.roots.delete(instance.root);
+        return true;
+    }
+    
+    /**
+     * Destroy every component inside a container
+     * @param {Element|Document} [container] - Where to look
+     */
+    destroyAll(container = document) {
+        this.getAll()
+            .filter(instance => container === document || container.contains(instance.root))
+            .forEach(instance => this.destroy(instance));
+    }
+}
+
+// Public API, e.g. App.get('counter').increment() or App.mount(element, 'tabs')
+const App = new ComponentRegistry();
+App.define('language-switcher', LanguageSwitcher);
+App.define('theme-toggle', ThemeToggle);
+App.define('shortcut-help', ShortcutHelpButton);
+App.define('counter', CounterGame);
+App.define('counter-challenge', CounterChallenge);
+App.define('faq', FAQSection);
+App.define('tabs', TabbedInterface);
+App.define('analytics-opt-out', AnalyticsOptOut);
+App.define('update-prompt', UpdatePrompt);
+App.define('form', FormValidator);
+App.define('registration-form', FormValidator, {
+    schema: REGISTRATION_SCHEMA,
+    groups: REGISTRATION_GROUPS,
+    draft: { key: 'registrationDraft', maxAge: 24 * 60 * 60 * 1000 },
+    queueOffline: true
+});
+App.bus = bus;
+App.analytics = analytics;
+window.App = App;
+
 /**
  * Initialize all interactive features when the DOM is loaded
  */
 document.addEventListener('DOMContentLoaded', function() {
-    // Initialize all interactive components
-    new ThemeToggle();
-    new CounterGame();
-    new FAQSection();
-    new TabbedInterface();
-    new FormValidator();
-    
-    // Add smooth scrolling for better UX
+    // Initialize every [data-component] element on the page
+    App.mountAll();
+    App.mount(document.body, 'update-prompt');
+    
+    // Add smooth scrolling for better UX, keeping the hash in the URL
     document.querySelectorAll('a[href^="#"]').forEach(anchor => {
         anchor.addEventListener('click', function (e) {
-            e.preventDefault();
-            const target = document.querySelector(this.getAttribute('href'));
+            const hash = this.getAttribute('href');
+            const target = hash.length > 1 ? document.getElementById(hash.slice(1)) : null;
             if (target) {
+                e.preventDefault();
                 target.scrollIntoView({
                     behavior: 'smooth',
                     block: 'start'
                 });
+                history.pushState(null, '', hash);
+                window.dispatchEvent(new Event('locationchange'));
             }
         });
     });
@@ -674,12 +6848,12 @@ document.addEventListener('DOMContentLoaded', function() {
         document.body.style.opacity = '1';
     }, 100);
     
-    console.log('🚀 Interactive Web Page loaded successfully!');
-    console.log('Features available:');
-    console.log('- 🌙 Dark/Light theme toggle');
-    console.log('- 🎮 Interactive counter game');
-    console.log('- ❓ Collapsible FAQ section');
-    console.log('- 📑 Tabbed interface');
-    console.log('- 📋 Form validation');
-    console.log('- ⌨️ Keyboard shortcuts (+, -, Ctrl+0 for counter)');
+    console.log(i18n.t('console.loaded'));
+    console.log(i18n.t('console.features'));
+    console.log(i18n.t('console.theme'));
+    console.log(i18n.t('console.counter'));
+    console.log(i18n.t('console.faq'));
+    console.log(i18n.t('console.tabs'));
+    console.log(i18n.t('console.form'));
+    console.log(i18n.t('console.shortcuts'));
 });
@@ -0,0 +1,255 @@
+// Local development server
+// Serves the static page, a mock registration endpoint so the form's
+// submission pipeline can be exercised without a real backend, and an
+// analytics endpoint that logs the batches sent with
+// <body data-analytics-endpoint="/api/events">.
+//
+// Registrations are accepted as JSON or as form data (multipart or
+// URL-encoded, see the form's "form-data" encoding) and checked with the
+// same rules as the form (validation.js).
+// Invalid ones get a 422 with { errors: { <field>: { message, params } } },
+// where message is a key the page translates.
+//
+// Usage: node server.js
+//   PORT=3000          - Port to listen on
+//   FAIL_FIRST=2       - Answer the first N registrations with 503 to test retries
+
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+const { validateRegistration } = require('./validation');
+
+const PORT = Number(process.env.PORT) || 3000;
+const ROOT = __dirname;
+
+const CONTENT_TYPES = {
+    '.html': 'text/html; charset=utf-8',
+    '.js': 'text/javascript; charset=utf-8',
+    '.css': 'text/css; charset=utf-8',
+    '.json': 'application/json; charset=utf-8',
+    '.webmanifest': 'application/manifest+json; charset=utf-8',
+    '.svg': 'image/svg+xml'
+};
+
+// Files the page needs; nothing else in the project directory (server.js,
+// .git, ...) is served
+const PUBLIC_FILES = [
+    'index.html',
+    'style.css',
+    'validation.js',
+    'script.js',
+    'sw.js',
+    'manifest.webmanifest',
+    'icons/icon.svg',
+    'icons/icon-maskable.svg'
+];
+
+// Registration fields sent as one form-data entry per item
+const LIST_FIELDS = ['phones'];
+
+// Emails the mock backend treats as already registered
+const REGISTERED_EMAILS = ['admin@example.com', 'test@example.com'];
+
+let remainingFailures = Number(process.env.FAIL_FIRST) || 0;
+
+/**
+ * Send a JSON response
+ * @param {http.ServerResponse} res - Response
+ * @param {number} status - HTTP status code
+ * @param {Object} body - Value to serialize
+ */
+function sendJson(res, status, body) {
+    res.writeHead(status, { 'Content-Type': CONTENT_TYPES['.json'] });
+    res.end(JSON.stringify(body));
+}
+
+/**
+ * Read a request body
+ * @param {http.IncomingMessage} req - Request
+ * @returns {Promise<Buffer>} - Raw body
+ */
+function readRaw(req) {
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+        req.on('data', chunk => {
+            chunks.push(chunk);
+        });
+        req.on('end', () => resolve(Buffer.concat(chunks)));
+        req.on('error', reject);
+    });
+}
+
+/**
+ * Read and parse a JSON request body
+ * @param {http.IncomingMessage} req - Request
+ * @returns {Promise<Object>} - Parsed body
+ */
+async function readJson(req) {
+    const raw = await readRaw(req);
+    return JSON.parse(raw.toString() || '{}');
+}
+
+/**
+ * Read a JSON, multipart or URL-encoded request body
+ * Form data only carries strings, so "true" and "false" become booleans
+ * (checkboxes) and LIST_FIELDS are always read as lists.
+ * @param {http.IncomingMessage} req - Request
+ * @returns {Promise<Object>} - Parsed body
+ */
+async function readBody(req) {
+    const contentType = req.headers['content-type'] || '';
+    if (!/^(multipart\/form-data|application\/x-www-form-urlencoded)\b/i.test(contentType)) {
+        return readJson(req);
+    }
+
+    const raw = await readRaw(req);
+    const form = await new Request('http://localhost/', {
+        method: 'POST',
+        headers: { 'Content-Type': contentType },
+        body: raw
+    }).formData();
+
+    const toValue = value => (value === 'true' || value === 'false' ? value === 'true' : value);
+    const data = {};
+    new Set(form.keys()).forEach(key => {
+        const values = form.getAll(key).map(toValue);
+        data[key] = LIST_FIELDS.includes(key) ? values : values[values.length - 1];
+    });
+    return data;
+}
+
+async function handleRegister(req, res) {
+    if (remainingFailures > 0) {
+        remainingFailures--;
+        sendJson(res, 503, { message: 'Service temporarily unavailable' });
+        return;
+    }
+
+    let data;
+    try {
+        data = await readBody(req);
+    } catch (error) {
+        sendJson(res, 400, { message: 'Request body must be valid JSON or form data' });
+        return;
+    }
+
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+        sendJson(res, 400, { message: 'Request body must be a JSON object' });
+        return;
+    }
+
+    const errors = validateRegistration(data);
+    if (Object.keys(errors).length > 0) {
+        sendJson(res, 422, { errors });
+        return;
+    }
+
+    const email = String(data.email).toLowerCase();
+    if (REGISTERED_EMAILS.includes(email)) {
+        sendJson(res, 422, { errors: { email: { message: 'registration.emailTaken' } } });
+        return;
+    }
+
+    REGISTERED_EMAILS.push(email);
+    sendJson(res, 201, { message: 'Registration successful' });
+}
+
+// Analytics batches sent by BeaconAdapter; logged so they can be inspected
+async function handleEvents(req, res) {
+    let data;
+    try {
+        data = await readJson(req);
+    } catch (error) {
+        sendJson(res, 400, { message: 'Request body must be valid JSON' });
+        return;
+    }
+
+    const isObject = value => Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+    if (!isObject(data) || !Array.isArray(data.events) || !data.events.every(isObject)) {
+        sendJson(res, 400, { message: 'Request body must be a JSON object with an events array' });
+        return;
+    }
+
+    data.events.forEach(event => console.log(`[analytics] ${event.type}`, JSON.stringify(event.payload)));
+    res.writeHead(204);
+    res.end();
+}
+
+function serveStatic(req, res) {
+    let urlPath;
+    try {
+        urlPath = decodeURIComponent(new URL(req.url, 'http://localhost').pathname);
+    } catch (error) {
+        res.writeHead(400);
+        res.end('Bad request');
+        return;
+    }
+    const fileName = urlPath === '/' ? 'index.html' : urlPath.slice(1);
+
+    if (!PUBLIC_FILES.includes(fileName)) {
+        res.writeHead(404);
+        res.end('Not found');
+        return;
+    }
+
+    const filePath = path.join(ROOT, fileName);
+    fs.readFile(filePath, (error, content) => {
+        if (error) {
+            res.writeHead(404);
+            res.end('Not found');
+            return;
+        }
+        res.writeHead(200, { 'Content-Type': CONTENT_TYPES[path.extname(filePath)] || 'application/octet-stream' });
+        res.end(content);
+    });
+}
+
+/**
+ * Route a request to its handler
+ * @param {http.IncomingMessage} req - Request
+ * @param {http.ServerResponse} res - Response
+ * @returns {Promise<void>|void}
+ */
+function route(req, res) {
+    if (req.method === 'POST' && req.url === '/api/register') {
+        return handleRegister(req, res);
+    }
+
+    if (req.method === 'POST' && req.url === '/api/events') {
+        return handleEvents(req, res);
+    }
+
+    if (req.method === 'GET' || req.method === 'HEAD') {
+        return serveStatic(req, res);
+    }
+
+    res.writeHead(405);
+    res.end();
+}
+
+/**
+ * Answer 500 for an error a handler did not deal with, so it never takes
+ * the server down
+ * @param {http.ServerResponse} res - Response
+ * @param {Error} error - Error thrown or rejected by the handler
+ */
+function handleUnexpectedError(res, error) {
+    console.error('Request failed', error);
+    if (res.headersSent) {
+        res.end();
+        return;
+    }
+    sendJson(res, 500, { message: 'Internal server error' });
+}
+
+const server = http.createServer((req, res) => {
+    try {
+        Promise.resolve(route(req, res)).catch(error => handleUnexpectedError(res, error));
+    } catch (error) {
+        handleUnexpectedError(res, error);
+    }
+});
+
+server.listen(PORT, () => {
+    console.log(`Serving on http://localhost:${PORT}`);
+});
@@ -0,0 +1,70 @@
+// Service worker
+// Precaches the page and its assets so it works offline. Bump CACHE_VERSION
+// whenever a precached file changes: the new worker installs alongside the
+// old one and the page offers to reload into it (see UpdatePrompt in script.js).
+
+const CACHE_PREFIX = 'interactive-page-';
+const CACHE_VERSION = 'v4';
+const CACHE_NAME = `${CACHE_PREFIX}${CACHE_VERSION}`;
+
+const PRECACHE_URLS = [
+    './',
+    './index.html',
+    './validation.js',
+    './script.js',
+    './style.css',
+    './manifest.webmanifest',
+    './icons/icon.svg',
+    './icons/icon-maskable.svg'
+];
+
+self.addEventListener('install', (event) => {
+    event.waitUntil(caches.open(CACHE_NAME).then(cache => cache.addAll(PRECACHE_URLS)));
+});
+
+// Drop the caches of previous versions once this one takes over
+self.addEventListener('activate', (event) => {
+    event.waitUntil(
+        caches.keys()
+            .then(keys => Promise.all(keys
+                .filter(key => key.startsWith(CACHE_PREFIX) && key !== CACHE_NAME)
+                .map(key => caches.delete(key))))
+            .then(() => self.clients.claim())
+    );
+});
+
+// The page asks a waiting worker to activate when the user accepts the update
+self.addEventListener('message', (event) => {
+    if (event.data && event.data.type === 'SKIP_WAITING') {
+        self.skipWaiting();
+    }
+});
+
+self.addEventListener('fetch', (event) => {
+    const request = event.request;
+    const url = new URL(request.url);
+    
+    // API calls always go to the network; the page queues offline submissions itself
+    if (request.method !== 'GET' || url.origin !== self.location.origin || url.pathname.startsWith('/api/')) {
+        return;
+    }
+    
+    // Pages are served from the precached shell whatever their query string (?tab=, ?faq=)
+    if (request.mode === 'navigate') {
+        event.respondWith(
+            caches.match('./index.html').then(cached => cached || fetch(request))
+        );
+        return;
+    }
+    
+    // Precached assets come from the cache; anything else is fetched and kept for offline use
+    event.respondWith(
+        caches.match(request).then(cached => cached || fetch(request).then(response => {
+            if (response.ok) {
+                const copy = response.clone();
+                caches.open(CACHE_NAME).then(cache => cache.put(request, copy));
+            }
+            return response;
+        }))
+    );
+});
@@ -0,0 +1,632 @@
+// Shared validation rules
+// The registration rules and the pure helpers behind them, with no DOM
+// access so the same file runs in the browser (as window.Validation, loaded
+// before script.js) and in Node (require('./validation'), see server.js).
+// FormValidator in script.js is the DOM adapter that reads values from the
+// form and renders the errors found here.
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.Validation = factory();
+    }
+}(typeof self !== 'undefined' ? self : this, function () {
+    
+    // ============================================================================
+    // PASSWORD POLICY
+    // ============================================================================
+    
+    /**
+     * Character classes a password policy can require
+     */
+    const CHARACTER_CLASSES = {
+        uppercase: {
+            pattern: /[A-Z]/,
+            label: 'password.checkUppercase',
+            message: 'registration.passwordUppercase'
+        },
+        lowercase: {
+            pattern: /[a-z]/,
+            label: 'password.checkLowercase',
+            message: 'registration.passwordLowercase'
+        },
+        number: {
+            pattern: /\d/,
+            label: 'password.checkNumber',
+            message: 'registration.passwordNumber'
+        },
+        special: {
+            pattern: /[!@#$%^&*(),.?":{}|<>]/,
+            label: 'password.checkSpecial',
+            message: 'registration.passwordSpecial'
+        }
+    };
+    
+    /**
+     * Default password policy for the registration form
+     * minScore (0-4) rejects passwords the strength estimate rates below it
+     */
+    const PASSWORD_POLICY = {
+        minLength: 8,
+        requiredClasses: ['uppercase', 'lowercase', 'number', 'special'],
+        rejectCommon: true,
+        minScore: 0
+    };
+    
+    /**
+     * Frequently used passwords, compared after lowercasing, undoing common
+     * letter substitutions and dropping trailing digits and symbols
+     */
+    const COMMON_PASSWORDS = new Set([
+        '123456', '12345678', '123456789', '1234567890', '111111', '000000', '654321',
+        'password', 'passwort', 'qwerty', 'qwertyuiop', 'asdfgh', 'azerty', 'zxcvbnm',
+        'abc', 'letmein', 'welcome', 'admin', 'administrator', 'root', 'login', 'guest',
+        'test', 'default', 'changeme', 'secret', 'iloveyou', 'loveme', 'monkey', 'dragon',
+        'master', 'shadow', 'sunshine', 'princess', 'football', 'baseball', 'soccer',
+        'hockey', 'superman', 'batman', 'starwars', 'pokemon', 'whatever', 'freedom',
+        'trustno', 'hello', 'hellothere', 'charlie', 'michael', 'jessica', 'ashley',
+        'mustang', 'access', 'flower', 'summer', 'winter', 'spring', 'autumn',
+        'computer', 'internet', 'cheese', 'killer', 'ninja', 'qazwsx', 'zaq', 'mypass'
+    ]);
+    
+    const LEET_SUBSTITUTIONS = { '@': 'a', '4': 'a', '3': 'e', '1': 'i', '!': 'i', '0': 'o', '$': 's', '5': 's', '7': 't' };
+    
+    /**
+     * Check a password against the bundled common-password list
+     * @param {string} password - Password to check
+     * @returns {boolean} - True when the password is (a variant of) a common one
+     */
+    function isCommonPassword(password) {
+        const lower = password.toLowerCase();
+        const base = lower
+            .replace(/[^a-z]+$/, '')
+            .replace(/[@4310!$57]/g, char => LEET_SUBSTITUTIONS[char]);
+        
+        return COMMON_PASSWORDS.has(lower) || COMMON_PASSWORDS.has(base);
+    }
+    
+    /**
+     * Estimate password entropy in bits from the character pool and length
+     * Repeated characters and runs like "abc" or "321" count for a quarter
+     * @param {string} password - Password to estimate
+     * @returns {number} - Estimated entropy in bits
+     */
+    function estimatePasswordEntropy(password) {
+        let pool = 0;
+        if (/[a-z]/.test(password)) pool += 26;
+        if (/[A-Z]/.test(password)) pool += 26;
+        if (/\d/.test(password)) pool += 10;
+        if (/[^a-zA-Z\d]/.test(password)) pool += 33;
+        
+        let effectiveLength = 0;
+        for (let i = 0; i < password.length; i++) {
+            const step = i > 0 ? Math.abs(password.charCodeAt(i) - password.charCodeAt(i - 1)) : null;
+            effectiveLength += step === 0 || step === 1 ? 0.25 : 1;
+        }
+        
+        return pool > 0 ? effectiveLength * Math.log2(pool) : 0;
+    }
+    
+    /**
+     * Evaluate a password against a policy
+     * @param {string} password - Password to evaluate
+     * @param {Object} [policy] - Password policy
+     * @returns {{checks: Array<{id: string, label: string, params: Object, passed: boolean}>, entropy: number, score: number, label: string}}
+     *   Labels are message keys for i18n.t()
+     */
+    function evaluatePassword(password, policy = PASSWORD_POLICY) {
+        const isCommon = password !== '' && isCommonPassword(password);
+        const checks = [
+            {
+                id: 'length',
+                label: 'password.checkLength',
+                params: { count: policy.minLength },
+                passed: password.length >= policy.minLength
+            },
+            ...policy.requiredClasses.map(name => ({
+                id: name,
+                label: CHARACTER_CLASSES[name].label,
+                passed: CHARACTER_CLASSES[name].pattern.test(password)
+            }))
+        ];
+        
+        if (policy.rejectCommon) {
+            checks.push({ id: 'common', label: 'password.checkCommon', passed: password !== '' && !isCommon });
+        }
+        
+        const entropy = isCommon ? 0 : estimatePasswordEntropy(password);
+        const thresholds = [28, 36, 60, 80];
+        let score = thresholds.filter(bits => entropy >= bits).length;
+        
+        // A password that breaks the policy is never rated above "Weak"
+        if (checks.some(check => !check.passed)) {
+            score = Math.min(score, 1);
+        }
+        
+        return { checks, entropy, score, label: `password.strength${score}` };
+    }
+    
+    /**
+     * Build schema rules that enforce a password policy
+     * @param {Object} [policy] - Password policy
+     * @returns {Array<Object>} - Schema rules
+     */
+    function createPasswordRules(policy = PASSWORD_POLICY) {
+        const rules = [
+            { type: 'required', message: 'registration.passwordRequired' },
+            { type: 'minLength', value: policy.minLength, message: 'registration.passwordMinLength' },
+            ...policy.requiredClasses.map(name => ({
+                type: 'pattern',
+                value: CHARACTER_CLASSES[name].pattern,
+                message: CHARACTER_CLASSES[name].message
+            }))
+        ];
+        
+        if (policy.rejectCommon) {
+            rules.push({ type: 'custom', validate: (value) => !isCommonPassword(value), message: 'registration.passwordCommon' });
+        }
+        
+        if (policy.minScore > 0) {
+            rules.push({
+                type: 'custom',
+                validate: (value) => evaluatePassword(value, policy).score >= policy.minScore,
+                message: 'registration.passwordWeak'
+            });
+        }
+        
+        return rules;
+    }
+    
+    // ============================================================================
+    // PHONE NUMBERS
+    // ============================================================================
+    
+    /**
+     * Countries offered by the phone country selector
+     * lengths are the allowed national number lengths (without the trunk
+     * prefix), prefixes the digits a national number may start with, and
+     * groups how the digits are spaced while typing.
+     */
+    const PHONE_COUNTRIES = [
+        { code: 'US', dialCode: '1', trunkPrefix: '1', lengths: [10], prefixes: ['2', '3', '4', '5', '6', '7', '8', '9'], groups: [3, 3, 4] },
+        { code: 'CA', dialCode: '1', trunkPrefix: '1', lengths: [10], prefixes: ['2', '3', '4', '5', '6', '7', '8', '9'], groups: [3, 3, 4] },
+        { code: 'MX', dialCode: '52', trunkPrefix: '', lengths: [10], prefixes: null, groups: [2, 4, 4] },
+        { code: 'GB', dialCode: '44', trunkPrefix: '0', lengths: [10], prefixes: ['1', '2', '3', '7', '8'], groups: [4, 6] },
+        { code: 'ES', dialCode: '34', trunkPrefix: '', lengths: [9], prefixes: ['6', '7', '8', '9'], groups: [3, 3, 3] },
+        { code: 'FR', dialCode: '33', trunkPrefix: '0', lengths: [9], prefixes: ['1', '2', '3', '4', '5', '6', '7', '9'], groups: [1, 2, 2, 2, 2] },
+        { code: 'DE', dialCode: '49', trunkPrefix: '0', lengths: [10, 11], prefixes: null, groups: [3, 4, 4] },
+        { code: 'IN', dialCode: '91', trunkPrefix: '0', lengths: [10], prefixes: ['6', '7', '8', '9'], groups: [5, 5] },
+        { code: 'AE', dialCode: '971', trunkPrefix: '0', lengths: [9], prefixes: ['2', '3', '4', '5', '6', '7', '9'], groups: [2, 3, 4] },
+        { code: 'SA', dialCode: '966', trunkPrefix: '0', lengths: [9], prefixes: ['1', '5', '8'], groups: [2, 3, 4] },
+        { code: 'EG', dialCode: '20', trunkPrefix: '0', lengths: [9, 10], prefixes: null, groups: [3, 3, 4] },
+        { code: 'AU', dialCode: '61', trunkPrefix: '0', lengths: [9], prefixes: ['2', '3', '4', '7', '8'], groups: [1, 4, 4] }
+    ];
+    
+    /**
+     * Look up a phone country by its ISO 3166 code
+     * @param {string} code - Country code, e.g. "GB"
+     * @returns {Object|null}
+     */
+    function getPhoneCountry(code) {
+        return PHONE_COUNTRIES.find(country => country.code === String(code || '').toUpperCase()) || null;
+    }
+    
+    /**
+     * Split a typed phone number into its country and national digits
+     * Numbers starting with + or 00 are read as international; others use the
+     * given country and lose its trunk prefix.
+     * @param {string} value - Phone number as typed
+     * @param {string} countryCode - Selected country
+     * @returns {{country: Object|null, nationalNumber: string, international: boolean}}
+     */
+    function parsePhoneNumber(value, countryCode) {
+        const text = String(value || '').trim();
+        const selected = getPhoneCountry(countryCode);
+        let digits = text.replace(/\D/g, '');
+        const international = text.startsWith('+') || digits.startsWith('00');
+        
+        if (!international) {
+            const trunk = selected ? selected.trunkPrefix : '';
+            const nationalNumber = trunk && digits.startsWith(trunk) ? digits.slice(trunk.length) : digits;
+            return { country: selected, nationalNumber, international };
+        }
+        
+        if (digits.startsWith('00')) {
+            digits = digits.slice(2);
+        }
+        
+        // Prefer the selected country when several share a dialling code (+1)
+        const candidates = PHONE_COUNTRIES
+            .filter(country => digits.startsWith(country.dialCode))
+            .sort((a, b) => (b.dialCode.length - a.dialCode.length) || ((b === selected) - (a === selected)));
+        const country = candidates[0] || null;
+        
+        return {
+            country,
+            nationalNumber: country ? digits.slice(country.dialCode.length) : digits,
+            international
+        };
+    }
+    
+    /**
+     * Check a phone number against its country's length and prefix rules
+     * @param {string} value - Phone number as typed
+     * @param {string} countryCode - Selected country
+     * @returns {boolean}
+     */
+    function isValidPhoneNumber(value, countryCode) {
+        const { country, nationalNumber } = parsePhoneNumber(value, countryCode);
+        if (!country) {
+            return false;
+        }
+        
+        return country.lengths.includes(nationalNumber.length)
+            && (!country.prefixes || country.prefixes.some(prefix => nationalNumber.startsWith(prefix)));
+    }
+    
+    /**
+     * Space out a phone number while it is being typed
+     * @param {string} value - Phone number as typed
+     * @param {string} countryCode - Selected country
+     * @returns {string}
+     */
+    function formatPhoneNumber(value, countryCode) {
+        const { country, nationalNumber, international } = parsePhoneNumber(value, countryCode);
+        if (!country) {
+            return value;
+        }
+        
+        const parts = [];
+        let rest = nationalNumber;
+        country.groups.forEach((size, index) => {
+            if (!rest) {
+                return;
+            }
+            // Extra digits stay in the last group so nothing typed is dropped
+            const take = index === country.groups.length - 1 ? rest.length : size;
+            parts.push(rest.slice(0, take));
+            rest = rest.slice(take);
+        });
+        
+        const national = parts.join(' ');
+        if (international) {
+            return national ? `+${country.dialCode} ${national}` : `+${country.dialCode}`;
+        }
+        
+        const digits = String(value).replace(/\D/g, '');
+        const trunk = country.trunkPrefix && digits.startsWith(country.trunkPrefix) ? country.trunkPrefix : '';
+        return trunk + national;
+    }
+    
+    /**
+     * Normalize a phone number to E.164, e.g. "+447911123456"
+     * @param {string} value - Phone number as typed
+     * @param {string} countryCode - Selected country
+     * @returns {string} - E.164 number, or "" when empty
+     */
+    function toE164(value, countryCode) {
+        const { country, nationalNumber } = parsePhoneNumber(value, countryCode);
+        if (!nationalNumber) {
+            return '';
+        }
+        return country ? `+${country.dialCode}${nationalNumber}` : `+${nationalNumber}`;
+    }
+    
+    // ============================================================================
+    // RULES
+    // ============================================================================
+    
+    /**
+     * Built-in validation rules available to schemas
+     * Each rule receives the field value, the rule parameter and the context
+     * (anything with getValue(fieldName), in the browser the FormValidator),
+     * and returns true when the value passes
+     */
+    const VALIDATION_RULES = {
+        required: (value) => value === true || (typeof value === 'string' && value !== ''),
+        // For checkboxes: only a real true passes, never a string such as "false"
+        checked: (value) => value === true,
+        minLength: (value, min) => value.length >= Number(min),
+        maxLength: (value, max) => value.length <= Number(max),
+        number: (value) => !isNaN(parseFloat(value)),
+        min: (value, min) => parseFloat(value) >= Number(min),
+        max: (value, max) => parseFloat(value) <= Number(max),
+        pattern: (value, pattern) => (pattern instanceof RegExp ? pattern : new RegExp(pattern)).test(value),
+        matches: (value, otherField, context) => value === context.getValue(otherField),
+        phone: (value, countryField, context) => isValidPhoneNumber(value, context.getValue(countryField)),
+        age: (value) => !isNaN(ageFromValue(value)),
+        minAge: (value, min) => ageFromValue(value) >= Number(min),
+        maxAge: (value, max) => ageFromValue(value) <= Number(max)
+    };
+    
+    /**
+     * Age in whole years from either a number or a date of birth (YYYY-MM-DD)
+     * @param {string} value - Age or date of birth
+     * @param {Date} [today] - Date to measure against
+     * @returns {number} - Age, or NaN when the value is neither
+     */
+    function ageFromValue(value, today = new Date()) {
+        const text = String(value || '').trim();
+        const date = /^(\d{4})-(\d{2})-(\d{2})$/.exec(text);
+        
+        if (!date) {
+            return /^\d+(\.\d+)?$/.test(text) ? parseFloat(text) : NaN;
+        }
+        
+        const [year, month, day] = date.slice(1).map(Number);
+        const birth = new Date(year, month - 1, day);
+        if (birth.getMonth() !== month - 1 || birth.getDate() !== day) {
+            return NaN;
+        }
+        
+        const hadBirthday = today.getMonth() > month - 1
+            || (today.getMonth() === month - 1 && today.getDate() >= day);
+        return today.getFullYear() - year - (hadBirthday ? 0 : 1);
+    }
+    
+    /**
+     * Fallback message keys used when a rule does not define its own
+     * Messages receive the rule parameter as {value} and, for numbers, {count}
+     */
+    const VALIDATION_MESSAGES = {
+        required: 'validation.required',
+        checked: 'validation.checked',
+        minLength: 'validation.minLength',
+        maxLength: 'validation.maxLength',
+        number: 'validation.number',
+        min: 'validation.min',
+        max: 'validation.max',
+        pattern: 'validation.pattern',
+        matches: 'validation.matches',
+        phone: 'validation.phone',
+        age: 'validation.age',
+        minAge: 'validation.minAge',
+        maxAge: 'validation.maxAge',
+        custom: 'validation.custom'
+    };
+    
+    const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+    
+    /**
+     * Rules for the registration form that hold wherever it is validated
+     * Keys are field names; each field lists its rules in the order they are
+     * checked. Rules that need the browser (e.g. the email availability check)
+     * are added by REGISTRATION_SCHEMA in script.js.
+     */
+    const REGISTRATION_RULES = {
+        fullName: {
+            rules: [
+                { type: 'required', message: 'registration.fullNameRequired' },
+                { type: 'minLength', value: 2, message: 'registration.fullNameMinLength' },
+                // Letters in any script, with spaces, hyphens or apostrophes between words
+                { type: 'pattern', value: /^[\p{L}\p{M}]+(?:[\s'’-]+[\p{L}\p{M}]+)*$/u, message: 'registration.fullNamePattern' }
+            ]
+        },
+        email: {
+            rules: [
+                { type: 'required', message: 'registration.emailRequired' },
+                { type: 'pattern', value: EMAIL_PATTERN, message: 'registration.emailInvalid' }
+            ]
+        },
+        password: {
+            rules: createPasswordRules(PASSWORD_POLICY)
+        },
+        confirmPassword: {
+            // Only used to check the password was typed correctly, never sent
+            serialize: false,
+            rules: [
+                { type: 'required', message: 'registration.confirmPasswordRequired' },
+                { type: 'matches', value: 'password', message: 'registration.confirmPasswordMismatch' }
+            ]
+        },
+        age: {
+            // Works with a number input or, with <input type="date">, a date of birth
+            rules: [
+                { type: 'required', message: 'registration.ageRequired' },
+                { type: 'age', message: 'registration.ageInvalid' },
+                { type: 'minAge', value: 13, message: 'registration.ageMin' },
+                { type: 'maxAge', value: 120, message: 'registration.ageInvalid' }
+            ]
+        },
+        guardianEmail: {
+            // Only asked for, checked and sent for users under 18
+            visibleWhen: (context) => ageFromValue(context.getValue('age')) < 18,
+            rules: [
+                { type: 'required', message: 'registration.guardianEmailRequired' },
+                { type: 'pattern', value: EMAIL_PATTERN, message: 'registration.emailInvalid' },
+                {
+                    type: 'custom',
+                    validate: (value, context) => value.toLowerCase() !== context.getValue('email').toLowerCase(),
+                    message: 'registration.guardianEmailSame'
+                }
+            ]
+        },
+        terms: {
+            showSuccess: false,
+            rules: [
+                { type: 'checked', message: 'registration.termsRequired' }
+            ]
+        }
+    };
+    
+    // ============================================================================
+    // VALIDATION
+    // ============================================================================
+    
+    /**
+     * Give plain values, e.g. a parsed request body, the getValue() that rules
+     * use to read other fields. Booleans (checkboxes) are kept, anything else
+     * is read as a string and missing values as "".
+     * @param {Object} values - Values keyed by field name
+     * @returns {{getValue: function(string): (string|boolean)}}
+     */
+    function createContext(values) {
+        return {
+            getValue(fieldName) {
+                const value = values[fieldName];
+                if (typeof value === 'boolean') {
+                    return value;
+                }
+                return value === undefined || value === null ? '' : String(value);
+            }
+        };
+    }
+    
+    /**
+     * Whether a field is currently part of the form (see visibleWhen)
+     * @param {Object} config - Field schema
+     * @param {Object} context - Anything with getValue(fieldName)
+     * @returns {boolean}
+     */
+    function isFieldActive(config, context) {
+        return !config.visibleWhen || Boolean(config.visibleWhen(context));
+    }
+    
+    /**
+     * Optional fields are valid while empty, async rules included; a checked
+     * rule makes a field required too
+     * @param {Object} config - Field schema
+     * @param {string|boolean} value - Field value
+     * @returns {boolean}
+     */
+    function isEmptyOptional(config, value) {
+        const isRequired = (config.rules || []).some(rule => rule.type === 'required' || rule.type === 'checked');
+        return !isRequired && value === '';
+    }
+    
+    /**
+     * Check a value against one synchronous rule
+     * @param {Object} rule - Schema rule
+     * @param {string|boolean} value - Field value
+     * @param {Object} context - Anything with getValue(fieldName)
+     * @returns {boolean} - Whether the value passes
+     */
+    function checkRule(rule, value, context) {
+        if (rule.type === 'custom') {
+            return Boolean(rule.validate(value, context));
+        }
+        
+        const test = VALIDATION_RULES[rule.type];
+        if (!test) {
+            console.warn(`Validation: unknown rule "${rule.type}"`);
+            return true;
+        }
+        
+        return Boolean(test(value, rule.value, context));
+    }
+    
+    /**
+     * First synchronous rule a value fails; async rules are left to the caller
+     * @param {Object} config - Field schema
+     * @param {string|boolean} value - Field value
+     * @param {Object} context - Anything with getValue(fieldName)
+     * @returns {Object|null} - The failed rule, or null when the value passes
+     */
+    function findFailedRule(config, value, context) {
+        if (isEmptyOptional(config, value)) {
+            return null;
+        }
+        
+        return (config.rules || [])
+            .filter(rule => rule.type !== 'async')
+            .find(rule => !checkRule(rule, value, context)) || null;
+    }
+    
+    /**
+     * Message key and parameters for a failed rule
+     * @param {Object} rule - Schema rule
+     * @returns {{message: string, params: Object}}
+     */
+    function getRuleError(rule) {
+        const params = { value: rule.value };
+        // Only numeric rules (e.g. minLength) have a count to pluralize by
+        const count = Number(rule.value);
+        if (rule.value !== null && rule.value !== '' && Number.isFinite(count)) {
+            params.count = count;
+        }
+        
+        return {
+            message: rule.message || VALIDATION_MESSAGES[rule.type] || VALIDATION_MESSAGES.custom,
+            params
+        };
+    }
+    
+    /**
+     * Validate plain values against a schema, skipping inactive fields
+     * @param {Object} schema - Field schemas keyed by field name
+     * @param {Object} values - Values keyed by field name
+     * @returns {Object<string, {rule: string, message: string, params: Object}>}
+     *   Errors keyed by field name; empty when every field passes
+     */
+    function validate(schema, values) {
+        const context = createContext(values);
+        const errors = {};
+        
+        Object.keys(schema).forEach(fieldName => {
+            const config = schema[fieldName];
+            if (!isFieldActive(config, context)) {
+                return;
+            }
+            
+            const failedRule = findFailedRule(config, context.getValue(fieldName), context);
+            if (failedRule) {
+                errors[fieldName] = { rule: failedRule.type, ...getRuleError(failedRule) };
+            }
+        });
+        
+        return errors;
+    }
+    
+    /**
+     * Validate a registration as the form sends it: without the fields that are
+     * never sent, and with its phone numbers as a list of E.164 numbers
+     * @param {Object} values - Submitted registration
+     * @returns {Object} - Errors keyed by field name, as returned by validate()
+     */
+    function validateRegistration(values) {
+        const schema = {};
+        Object.keys(REGISTRATION_RULES).forEach(fieldName => {
+            if (REGISTRATION_RULES[fieldName].serialize !== false) {
+                schema[fieldName] = REGISTRATION_RULES[fieldName];
+            }
+        });
+        
+        const errors = validate(schema, values);
+        
+        const phones = values.phones === undefined ? [] : values.phones;
+        if (!Array.isArray(phones) || phones.some(phone => !isValidPhoneNumber(String(phone), ''))) {
+            errors.phones = { rule: 'phone', message: 'registration.phoneInvalid', params: {} };
+        }
+        
+        return errors;
+    }
+    
+    return {
+        CHARACTER_CLASSES,
+        PASSWORD_POLICY,
+        isCommonPassword,
+        estimatePasswordEntropy,
+        evaluatePassword,
+        createPasswordRules,
+        PHONE_COUNTRIES,
+        getPhoneCountry,
+        parsePhoneNumber,
+        isValidPhoneNumber,
+        formatPhoneNumber,
+        toE164,
+        VALIDATION_RULES,
+        VALIDATION_MESSAGES,
+        ageFromValue,
+        EMAIL_PATTERN,
+        REGISTRATION_RULES,
+        createContext,
+        isFieldActive,
+        isEmptyOptional,
+        checkRule,
+        findFailedRule,
+        getRuleError,
+        validate,
+        validateRegistration
+    };
+}));